@@ -1,59 +1,155 @@
 /**
  * Authentication Middleware
- * JWT token verification and role-based access control
+ * JWT token / API key verification and role-based access control
  */
 
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
+const { verifyAccessToken } = require('../services/tokenService');
+const { authenticateApiKey } = require('../services/apiKeyService');
+const { getSetting } = require('../services/settings');
 const logger = require('../utils/logger');
 
 /**
- * Protect routes - verify JWT token
+ * Accept X-API-Key authentication on the following routes for keys with a scope.
+ * Must run before protect / optionalAuth; without it API keys are refused.
+ * @param {string} scope - Required key scope
+ * @param {Object} options - { methods } to limit it to some HTTP methods
+ */
+const allowApiKey = (scope, { methods } = {}) => {
+  return (req, res, next) => {
+    if (!methods || methods.includes(req.method)) {
+      req.apiKeyScope = scope;
+    }
+    next();
+  };
+};
+
+/**
+ * Verify the X-API-Key header or Bearer token of a request
+ */
+const resolveCredentials = async (req) => {
+  if (req.headers['x-api-key']) {
+    try {
+      const { apiKey, user } = await authenticateApiKey(req.headers['x-api-key'], req.ip);
+      return { kind: 'apiKey', user, apiKey };
+    } catch (error) {
+      if (error.code === 'API_KEY_INVALID') {
+        return { kind: 'apiKey', error: { status: 401, error: error.message } };
+      }
+      throw error;
+    }
+  }
+
+  let token;
+
+  // Check for token in Authorization header
+  if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+    token = req.headers.authorization.split(' ')[1];
+  }
+
+  if (!token) {
+    return { kind: null };
+  }
+
+  try {
+    // Verify token (rejects revoked tokens) and get its user
+    const { user, decoded } = await verifyAccessToken(token);
+    return { kind: 'token', user, decoded };
+  } catch (error) {
+    return {
+      kind: 'token',
+      error: {
+        status: 401,
+        error: error.code === 'TOKEN_REVOKED' ? error.message : 'Not authorized to access this route',
+        reason: error.message
+      }
+    };
+  }
+};
+
+/**
+ * Resolve the request's credentials (X-API-Key header or Bearer token) once;
+ * the rate limiter, protect and optionalAuth all share the result
+ * @returns {Promise<Object>} { kind: 'apiKey'|'token'|null, user, apiKey, decoded, error }
+ */
+const identify = (req) => {
+  if (!req.authResult) {
+    req.authResult = resolveCredentials(req);
+  }
+  return req.authResult;
+};
+
+/**
+ * Check a resolved API key against the route's scope
+ * @returns {Object|null} Error response { status, error } or null on success
+ */
+const useApiKey = (req, { apiKey, user, error }) => {
+  if (!req.apiKeyScope) {
+    return { status: 403, error: 'API keys are not accepted for this route' };
+  }
+
+  if (error) {
+    return error;
+  }
+
+  if (!apiKey.scopes.includes(req.apiKeyScope)) {
+    return { status: 403, error: `API key is missing the '${req.apiKeyScope}' scope` };
+  }
+
+  req.user = user;
+  req.apiKey = apiKey;
+  return null;
+};
+
+/**
+ * Protect routes - verify JWT token (or API key where allowed)
  */
 const protect = async (req, res, next) => {
   try {
-    let token;
+    const auth = await identify(req);
 
-    // Check for token in Authorization header
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+    if (auth.kind === 'apiKey') {
+      const failure = useApiKey(req, auth);
+      if (failure) {
+        return res.status(failure.status).json({
+          success: false,
+          error: failure.error
+        });
+      }
+      return next();
     }
 
-    if (!token) {
+    if (!auth.kind) {
       return res.status(401).json({
         success: false,
         error: 'Not authorized to access this route'
       });
     }
 
-    try {
-      // Verify token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (auth.error) {
+      return res.status(auth.error.status).json({
+        success: false,
+        error: auth.error.error
+      });
+    }
 
-      // Get user from token
-      req.user = await User.findById(decoded.id).select('-password');
+    req.user = auth.user;
+    req.token = auth.decoded;
 
-      if (!req.user) {
-        return res.status(401).json({
-          success: false,
-          error: 'User not found'
-        });
-      }
-
-      if (!req.user.isActive) {
-        return res.status(401).json({
-          success: false,
-          error: 'User account is deactivated'
-        });
-      }
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
 
-      next();
-    } catch (error) {
+    if (!req.user.isActive) {
       return res.status(401).json({
         success: false,
-        error: 'Not authorized to access this route'
+        error: 'User account is deactivated'
       });
     }
+
+    next();
   } catch (error) {
     logger.error(`Auth middleware error: ${error.message}`);
     return res.status(500).json({
@@ -88,24 +184,57 @@ const authorize = (...roles) => {
 };
 
 /**
- * Optional authentication - doesn't fail if no token
+ * Require a verified email for researcher features when admins have enabled
+ * the requireVerifiedEmailForResearchers setting (admins are exempt)
  */
-const optionalAuth = async (req, res, next) => {
+const requireVerifiedEmail = async (req, res, next) => {
   try {
-    let token;
+    if (req.user.role === 'admin' || req.user.emailVerified) {
+      return next();
+    }
 
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-      token = req.headers.authorization.split(' ')[1];
+    if (await getSetting('requireVerifiedEmailForResearchers')) {
+      return res.status(403).json({
+        success: false,
+        error: 'Verify your email address to access this route'
+      });
     }
 
-    if (token) {
-      try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.user = await User.findById(decoded.id).select('-password');
-      } catch (error) {
-        // Token invalid but continue anyway
-        logger.warn(`Invalid token in optional auth: ${error.message}`);
+    next();
+  } catch (error) {
+    logger.error(`Email verification check error: ${error.message}`);
+    return res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+};
+
+/**
+ * Optional authentication - doesn't fail if no token.
+ * An API key, when sent, must be valid: callers expect requests to be attributed to it.
+ */
+const optionalAuth = async (req, res, next) => {
+  try {
+    const auth = await identify(req);
+
+    if (auth.kind === 'apiKey') {
+      const failure = useApiKey(req, auth);
+      if (failure) {
+        return res.status(failure.status).json({
+          success: false,
+          error: failure.error
+        });
       }
+      return next();
+    }
+
+    if (auth.error) {
+      // Token invalid but continue anyway
+      logger.warn(`Invalid token in optional auth: ${auth.error.reason}`);
+    } else if (auth.kind === 'token') {
+      req.user = auth.user;
+      req.token = auth.decoded;
     }
 
     next();
@@ -118,6 +247,9 @@ const optionalAuth = async (req, res, next) => {
 module.exports = {
   protect,
   authorize,
-  optionalAuth
+  requireVerifiedEmail,
+  allowApiKey,
+  optionalAuth,
+  identify
 };
 
@@ -0,0 +1,154 @@
+/**
+ * Rate Limiting Middleware
+ * Tiered limits keyed by user id when authenticated (API key requests count
+ * against the key's owner, so extra keys do not add budget), by IP otherwise.
+ * Prediction requests use the predict budget and are also charged against the
+ * daily character quota; every other API request uses the read budget.
+ */
+
+const { identify } = require('./auth');
+const { getLimit, consumeQuota, refundQuota } = require('../services/quota');
+const logger = require('../utils/logger');
+
+// Endpoints that send text to the ML service (relative to /api)
+const PREDICT_PATHS = /^\/predictions\/(predict|batch|jobs)\/?$/;
+
+/**
+ * Identity and role a request is counted against. Invalid credentials
+ * fall back to the IP; protect / optionalAuth reject them later.
+ * @returns {Object} { identity, role, type }
+ */
+const resolveClient = async (req) => {
+  try {
+    const auth = await identify(req);
+
+    if (!auth.error && auth.user?.isActive) {
+      return { identity: `user:${auth.user._id}`, role: auth.user.role, type: auth.apiKey ? 'apiKey' : 'user' };
+    }
+  } catch (error) {
+    logger.warn(`Rate limiter could not resolve credentials: ${error.message}`);
+  }
+
+  return { identity: `ip:${req.ip}`, role: 'anonymous', type: 'ip' };
+};
+
+/**
+ * Requests and characters a prediction request is charged
+ * (batches and jobs count one request per item)
+ */
+const predictionCost = (body = {}) => {
+  const items = Array.isArray(body.items) ? body.items : [body];
+  return {
+    requests: Math.max(1, items.length),
+    characters: items.reduce((sum, item) => sum + (typeof item?.text === 'string' ? item.text.trim().length : 0), 0)
+  };
+};
+
+const secondsUntil = resetAt => Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+
+const rejectRequest = (res, result, error) => {
+  res.set('Retry-After', String(secondsUntil(result.resetAt)));
+  return res.status(429).json({
+    success: false,
+    error,
+    limit: result.limit,
+    remaining: result.remaining,
+    resetAt: new Date(result.resetAt)
+  });
+};
+
+/**
+ * Predictions are charged before the route validates them: when validation
+ * rejects the request (400), give back its characters and all but one of its
+ * requests, so an invalid request still counts once but no text was scored
+ */
+const refundIfRejected = (res, client, bucket, cost) => {
+  res.on('finish', () => {
+    if (res.statusCode !== 400) {
+      return;
+    }
+
+    Promise.all([
+      cost.requests > 1 ? refundQuota(client, bucket, cost.requests - 1) : null,
+      cost.characters > 0 ? refundQuota(client, 'characters', cost.characters) : null
+    ]).catch(error => logger.error(`Rate limiter refund error: ${error.message}`));
+  });
+};
+
+/**
+ * Apply the caller's request budget (and character quota for predictions).
+ * Mounted on /api; sets req.quotaClient for the quota endpoint.
+ */
+const apiRateLimit = async (req, res, next) => {
+  try {
+    const client = await resolveClient(req);
+    req.quotaClient = client;
+
+    const isPredict = req.method === 'POST' && PREDICT_PATHS.test(req.path);
+    const bucket = isPredict ? 'predict' : 'read';
+    const cost = isPredict ? predictionCost(req.body) : { requests: 1, characters: 0 };
+
+    // A request larger than a whole budget can never succeed, so retrying is pointless
+    const requestLimit = getLimit(client.role, bucket);
+    if (requestLimit && cost.requests > requestLimit) {
+      return res.status(413).json({
+        success: false,
+        error: `Too many items: the ${client.role} budget allows at most ${requestLimit} predictions per window`,
+        maxItems: requestLimit
+      });
+    }
+
+    const characterLimit = getLimit(client.role, 'characters');
+    if (characterLimit && cost.characters > characterLimit) {
+      return res.status(413).json({
+        success: false,
+        error: `Too much text: the ${client.role} quota allows at most ${characterLimit} characters per day`,
+        maxCharacters: characterLimit
+      });
+    }
+
+    const requests = await consumeQuota(client, bucket, cost.requests);
+    if (requests.limit) {
+      res.set('RateLimit-Limit', String(requests.limit));
+      res.set('RateLimit-Remaining', String(requests.remaining));
+      res.set('RateLimit-Reset', String(secondsUntil(requests.resetAt)));
+    }
+
+    if (!requests.allowed) {
+      return rejectRequest(res, requests, `Too many ${bucket} requests, please try again later.`);
+    }
+
+    if (cost.characters > 0) {
+      const characters = await consumeQuota(client, 'characters', cost.characters);
+      if (characters.limit) {
+        res.set('X-Character-Quota-Remaining', String(characters.remaining));
+      }
+
+      if (!characters.allowed) {
+        await refundQuota(client, bucket, cost.requests);
+        if (requests.limit) {
+          res.set('RateLimit-Remaining', String(requests.remaining + cost.requests));
+        }
+        return rejectRequest(
+          res,
+          characters,
+          `Daily character quota exceeded (${characters.remaining} of ${characters.limit} characters left).`
+        );
+      }
+    }
+
+    if (isPredict) {
+      refundIfRejected(res, client, bucket, cost);
+    }
+
+    next();
+  } catch (error) {
+    // Counting must not take the API down
+    logger.error(`Rate limiter error: ${error.message}`);
+    next();
+  }
+};
+
+module.exports = {
+  apiRateLimit
+};
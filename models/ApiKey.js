@@ -0,0 +1,72 @@
+/**
+ * ApiKey Model - MongoDB Schema
+ * Per-user API keys for programmatic clients; only a hash of the secret is stored
+ */
+
+const mongoose = require('mongoose');
+
+const API_KEY_SCOPES = ['predict', 'datasets:read', 'statistics'];
+
+const ApiKeySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  name: {
+    type: String,
+    required: [true, 'Key name is required'],
+    trim: true,
+    maxlength: 100
+  },
+
+  // Public part of the key (hata_xxxxxxxx), shown in listings to identify it
+  prefix: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  keyHash: {
+    type: String,
+    required: true,
+    select: false
+  },
+
+  scopes: {
+    type: [String],
+    enum: API_KEY_SCOPES,
+    validate: [scopes => scopes.length > 0, 'At least one scope is required']
+  },
+
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date
+}, {
+  timestamps: true
+});
+
+ApiKeySchema.index({ userId: 1, createdAt: -1 });
+
+// Method to check whether the key can still be used
+ApiKeySchema.methods.isUsable = function() {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > new Date());
+};
+
+// Method to get the listing shape (never includes the hash)
+ApiKeySchema.methods.toPublicJSON = function() {
+  return {
+    id: this._id,
+    name: this.name,
+    prefix: this.prefix,
+    scopes: this.scopes,
+    expiresAt: this.expiresAt,
+    lastUsedAt: this.lastUsedAt,
+    revokedAt: this.revokedAt,
+    createdAt: this.createdAt
+  };
+};
+
+module.exports = mongoose.model('ApiKey', ApiKeySchema);
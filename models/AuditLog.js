@@ -0,0 +1,48 @@
+/**
+ * AuditLog Model - MongoDB Schema
+ * Append-only record of administrative changes to user accounts
+ */
+
+const mongoose = require('mongoose');
+
+const AuditLogSchema = new mongoose.Schema({
+  // Admin who made the change
+  actorId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  action: {
+    type: String,
+    enum: ['user.role_changed', 'user.deactivated', 'user.reactivated', 'user.password_reset_forced'],
+    required: true
+  },
+
+  targetUserId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Changed fields: { field: { from, to } }, plus counts of side effects (e.g. revokedApiKeys)
+  changes: mongoose.Schema.Types.Mixed,
+
+  reason: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+
+  ipAddress: String,
+
+  userAgent: String
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+AuditLogSchema.index({ targetUserId: 1, createdAt: -1 });
+AuditLogSchema.index({ actorId: 1, createdAt: -1 });
+AuditLogSchema.index({ action: 1, createdAt: -1 });
+
+module.exports = mongoose.model('AuditLog', AuditLogSchema);
@@ -41,14 +41,15 @@ const DatasetSchema = new mongoose.Schema({
     },
     entities: [{
       text: String,
-      type: String,
+      type: { type: String }, // Nested so Mongoose doesn't read it as the array type
       start: Number,
       end: Number
     }],
+    // No defaults: an unset flag means the annotator did not judge it
     biasFlags: {
-      hasGenderBias: { type: Boolean, default: false },
-      hasEthnicBias: { type: Boolean, default: false },
-      hasReligiousBias: { type: Boolean, default: false }
+      hasGenderBias: Boolean,
+      hasEthnicBias: Boolean,
+      hasReligiousBias: Boolean
     },
     quality: {
       type: Number,
@@ -61,6 +62,40 @@ const DatasetSchema = new mongoose.Schema({
     }
   }],
   
+  adjudication: {
+    sentiment: {
+      type: String,
+      enum: ['positive', 'negative', 'neutral']
+    },
+    biasFlags: {
+      hasGenderBias: Boolean,
+      hasEthnicBias: Boolean,
+      hasReligiousBias: Boolean
+    },
+    quality: {
+      type: Number,
+      min: 1,
+      max: 5
+    },
+    notes: {
+      type: String,
+      trim: true
+    },
+    adjudicatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    adjudicatedAt: Date
+  },
+  
+  annotationClaims: [{
+    annotatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    expiresAt: Date
+  }],
+  
   metadata: {
     source: {
       type: String,
@@ -87,6 +122,10 @@ const DatasetSchema = new mongoose.Schema({
     default: 'train'
   },
   
+  splitAssignedAt: {
+    type: Date // Unset while the split is only the schema default
+  },
+  
   isVerified: {
     type: Boolean,
     default: false
@@ -105,12 +144,53 @@ DatasetSchema.index({ language: 1, split: 1 });
 DatasetSchema.index({ label: 1 });
 DatasetSchema.index({ isVerified: 1 });
 DatasetSchema.index({ 'metadata.source': 1 });
+DatasetSchema.index({ language: 1, label: 1, 'metadata.domain': 1 });
+DatasetSchema.index({ 'annotations.annotatorId': 1 });
+
+// Static to calculate word and character counts for a text
+// (also used by insertMany paths that bypass the pre-save hook)
+DatasetSchema.statics.computeTextStats = function(text) {
+  return {
+    wordCount: text.split(/\s+/).length,
+    characterCount: text.length
+  };
+};
+
+// Static to resolve a sample's bias flags: the adjudicated values when present,
+// otherwise a majority vote over annotations (undefined when never annotated)
+DatasetSchema.statics.resolveBiasFlags = function(sample) {
+  const flags = ['hasGenderBias', 'hasEthnicBias', 'hasReligiousBias'];
+  const adjudicated = sample.adjudication?.biasFlags;
+  const annotations = sample.annotations || [];
+
+  if (adjudicated && flags.some(flag => typeof adjudicated[flag] === 'boolean')) {
+    return flags.reduce((resolved, flag) => ({ ...resolved, [flag]: Boolean(adjudicated[flag]) }), {});
+  }
+
+  if (annotations.length === 0) {
+    return undefined;
+  }
+
+  // Majority among the annotators who judged each flag; undefined when nobody did
+  return flags.reduce((resolved, flag) => {
+    const judged = annotations.filter(annotation => typeof annotation.biasFlags?.[flag] === 'boolean');
+    if (judged.length === 0) {
+      return { ...resolved, [flag]: undefined };
+    }
+    const votes = judged.filter(annotation => annotation.biasFlags[flag]).length;
+    return { ...resolved, [flag]: votes > judged.length / 2 };
+  }, {});
+};
 
 // Pre-save hook to calculate word and character counts
 DatasetSchema.pre('save', function(next) {
   if (this.isModified('text')) {
-    this.metadata.wordCount = this.text.split(/\s+/).length;
-    this.metadata.characterCount = this.text.length;
+    const { wordCount, characterCount } = this.constructor.computeTextStats(this.text);
+    this.metadata.wordCount = wordCount;
+    this.metadata.characterCount = characterCount;
+  }
+  if (this.isModified('split') && !this.$isDefault('split')) {
+    this.splitAssignedAt = new Date();
   }
   next();
 });
@@ -0,0 +1,56 @@
+/**
+ * DatasetExport Model - MongoDB Schema
+ * Manifest of one dataset export, stored so downloads can be verified
+ * against the exact bytes that were streamed
+ */
+
+const mongoose = require('mongoose');
+
+const DatasetExportSchema = new mongoose.Schema({
+  requestedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  format: {
+    type: String,
+    enum: ['jsonl', 'csv'],
+    required: true
+  },
+
+  columns: [String],
+
+  filters: {
+    languages: [String],
+    splits: [String],
+    verifiedOnly: Boolean
+  },
+
+  // Manifest fields are only set once the export has been streamed completely
+  status: {
+    type: String,
+    enum: ['streaming', 'completed', 'aborted'],
+    default: 'streaming'
+  },
+
+  total: Number,
+
+  counts: {
+    bySplit: mongoose.Schema.Types.Mixed,
+    byLanguage: mongoose.Schema.Types.Mixed,
+    byLabel: mongoose.Schema.Types.Mixed
+  },
+
+  contentHash: String,
+
+  lastUpdatedAt: Date,
+
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+DatasetExportSchema.index({ requestedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DatasetExport', DatasetExportSchema);
@@ -0,0 +1,58 @@
+/**
+ * DriftSnapshot Model - MongoDB Schema
+ * One drift check of recent prediction traffic against a reference window
+ */
+
+const mongoose = require('mongoose');
+
+const WindowSchema = new mongoose.Schema({
+  start: Date,
+  end: Date,
+  count: Number
+}, { _id: false });
+
+const DriftSnapshotSchema = new mongoose.Schema({
+  reference: WindowSchema,
+  current: WindowSchema,
+
+  status: {
+    type: String,
+    enum: ['ok', 'drift', 'insufficient_data'],
+    required: true
+  },
+
+  features: [{
+    feature: String, // confidence, predictedLabel, overallBias, textLength, language, ...
+    statistic: {
+      type: String,
+      enum: ['psi', 'ks']
+    },
+    value: Number,
+    threshold: Number,
+    drifted: Boolean
+  }],
+
+  // Summary of each window for the dashboard
+  summary: {
+    reference: mongoose.Schema.Types.Mixed,
+    current: mongoose.Schema.Types.Mixed
+  },
+
+  alerted: {
+    type: Boolean,
+    default: false
+  },
+
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  }
+}, {
+  timestamps: true
+});
+
+DriftSnapshotSchema.index({ createdAt: -1 });
+DriftSnapshotSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DriftSnapshot', DriftSnapshotSchema);
@@ -0,0 +1,66 @@
+/**
+ * EvaluationResult Model - MongoDB Schema
+ * One scored Dataset sample within an evaluation run
+ */
+
+const mongoose = require('mongoose');
+
+const EvaluationResultSchema = new mongoose.Schema({
+  runId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvaluationRun',
+    required: true
+  },
+
+  sampleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Dataset',
+    required: true
+  },
+
+  modelVersion: {
+    type: String,
+    required: true
+  },
+
+  split: String,
+
+  // Snapshot of the sample's grouping fields at evaluation time
+  language: {
+    type: String,
+    enum: ['ha', 'yo', 'ig', 'pcm'],
+    required: true
+  },
+  dialect: String,
+  domain: String,
+  biasFlags: {
+    hasGenderBias: Boolean,
+    hasEthnicBias: Boolean,
+    hasReligiousBias: Boolean
+  },
+
+  label: {
+    type: Number,
+    enum: [0, 1],
+    required: true
+  },
+
+  predictedLabel: {
+    type: Number,
+    enum: [0, 1]
+  },
+
+  score: Number, // Probability of AI-generated (label 1)
+
+  confidence: Number,
+
+  error: String
+}, {
+  timestamps: true
+});
+
+// Indexes
+EvaluationResultSchema.index({ runId: 1, sampleId: 1 }, { unique: true });
+EvaluationResultSchema.index({ modelVersion: 1, split: 1, sampleId: 1 });
+
+module.exports = mongoose.model('EvaluationResult', EvaluationResultSchema);
@@ -0,0 +1,61 @@
+/**
+ * EvaluationRun Model - MongoDB Schema
+ * Tracks offline evaluations of a model version on a Dataset split
+ */
+
+const mongoose = require('mongoose');
+
+const EvaluationRunSchema = new mongoose.Schema({
+  modelVersion: {
+    type: String,
+    required: [true, 'Model version is required']
+  },
+
+  split: {
+    type: String,
+    enum: ['train', 'validation', 'test'],
+    default: 'test'
+  },
+
+  filters: {
+    languages: [String],
+    verifiedOnly: {
+      type: Boolean,
+      default: false
+    }
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'interrupted', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  progress: {
+    total: { type: Number, default: 0 },
+    scored: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  performanceIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Performance'
+  }],
+
+  startedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  lastError: String,
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+EvaluationRunSchema.index({ modelVersion: 1, split: 1, status: 1 });
+EvaluationRunSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('EvaluationRun', EvaluationRunSchema);
@@ -66,6 +66,7 @@ FeedbackSchema.index({ predictionId: 1 });
 FeedbackSchema.index({ userId: 1 });
 FeedbackSchema.index({ rating: 1 });
 FeedbackSchema.index({ timestamp: -1 });
+FeedbackSchema.index({ correctLabel: 1, timestamp: -1 });
 
 module.exports = mongoose.model('Feedback', FeedbackSchema);
 
@@ -0,0 +1,56 @@
+/**
+ * ModelCalibration Model - MongoDB Schema
+ * Confidence scaling applied to a model version's predictions
+ */
+
+const mongoose = require('mongoose');
+
+const ModelCalibrationSchema = new mongoose.Schema({
+  modelVersion: {
+    type: String,
+    required: [true, 'Model version is required'],
+    unique: true
+  },
+
+  method: {
+    type: String,
+    enum: ['temperature', 'platt'],
+    required: true
+  },
+
+  // p' = sigmoid(logit(p) / temperature)
+  temperature: {
+    type: Number,
+    min: 0.01,
+    required: function() { return this.method === 'temperature'; }
+  },
+
+  // p' = sigmoid(plattA * logit(p) + plattB)
+  plattA: {
+    type: Number,
+    required: function() { return this.method === 'platt'; }
+  },
+  plattB: {
+    type: Number,
+    required: function() { return this.method === 'platt'; }
+  },
+
+  // Data the scaling was fitted on, when fitted here
+  fit: {
+    source: String,
+    sampleSize: Number,
+    eceBefore: Number,
+    eceAfter: Number,
+    brierBefore: Number,
+    brierAfter: Number
+  },
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('ModelCalibration', ModelCalibrationSchema);
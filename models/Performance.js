@@ -63,7 +63,18 @@ const PerformanceSchema = new mongoose.Schema({
       min: 0,
       max: 1,
       default: 0
-    }
+    },
+    // Per-subgroup results; eod/aaod above hold the largest absolute values
+    groups: [{
+      attribute: String, // language, dialect, domain, hasGenderBias, ...
+      group: String,
+      sampleSize: Number,
+      truePositiveRate: Number,
+      falsePositiveRate: Number,
+      eod: Number, // TPR(group) - TPR(rest)
+      aaod: Number, // mean of |FPR diff| and |TPR diff| against the rest
+      reliable: Boolean // sampleSize meets the minimum group size
+    }]
   },
   
   confusionMatrix: {
@@ -73,6 +84,16 @@ const PerformanceSchema = new mongoose.Schema({
     falseNegative: { type: Number, default: 0 }
   },
   
+  split: {
+    type: String,
+    enum: ['train', 'validation', 'test']
+  },
+  
+  evaluationRunId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'EvaluationRun'
+  },
+  
   sampleSize: {
     type: Number,
     required: true,
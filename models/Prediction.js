@@ -100,14 +100,53 @@ const PredictionSchema = new mongoose.Schema({
     submittedAt: Date
   },
   
+  shadowResults: [{
+    modelVersion: String,
+    label: {
+      type: Number,
+      enum: [0, 1]
+    },
+    confidence: Number,
+    probabilities: [Number],
+    latencyMs: Number,
+    error: String,
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  
+  review: {
+    datasetSampleId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Dataset'
+    },
+    promotedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    promotedAt: Date
+  },
+  
   metadata: {
     ipAddress: String,
     userAgent: String,
     processingTime: Number, // milliseconds
+    cached: Boolean, // ML result served from the prediction cache
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    },
     modelVersion: {
       type: String,
       default: 'v1.0'
-    }
+    },
+    // Set for predictions made by the job worker
+    jobId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PredictionJob'
+    },
+    jobItemIndex: Number
   },
   
   timestamp: {
@@ -123,15 +162,61 @@ PredictionSchema.index({ userId: 1, timestamp: -1 });
 PredictionSchema.index({ language: 1 });
 PredictionSchema.index({ 'prediction.label': 1 });
 PredictionSchema.index({ timestamp: -1 });
+PredictionSchema.index({ 'feedback.correctLabel': 1 });
+// At most one prediction per job item, even when a job is resumed
+PredictionSchema.index(
+  { 'metadata.jobId': 1, 'metadata.jobItemIndex': 1 },
+  { unique: true, partialFilterExpression: { 'metadata.jobId': { $exists: true } } }
+);
 
 // Virtual for human-readable label
 PredictionSchema.virtual('predictionLabel').get(function() {
   return this.prediction.label === 0 ? 'Human-written' : 'AI-generated';
 });
 
+// Thresholds below/above which a prediction needs review
+const REVIEW_THRESHOLDS = {
+  confidence: 0.7,
+  overallBias: 0.5
+};
+
 // Method to check if prediction needs review
 PredictionSchema.methods.needsReview = function() {
-  return this.prediction.confidence < 0.7 || this.biasScore.overallBias > 0.5;
+  return this.prediction.confidence < REVIEW_THRESHOLDS.confidence ||
+    this.biasScore.overallBias > REVIEW_THRESHOLDS.overallBias;
+};
+
+// Static query matching predictions for the review queue: feedback that
+// disagrees with the predicted label, or the same checks as needsReview()
+PredictionSchema.statics.reviewQueueFilter = function() {
+  return {
+    $or: [
+      {
+        'feedback.correctLabel': { $in: [0, 1] },
+        $expr: { $ne: ['$feedback.correctLabel', '$prediction.label'] }
+      },
+      { 'prediction.confidence': { $lt: REVIEW_THRESHOLDS.confidence } },
+      { 'biasScore.overallBias': { $gt: REVIEW_THRESHOLDS.overallBias } }
+    ]
+  };
+};
+
+// Method to list why a prediction is in the review queue
+PredictionSchema.methods.reviewReasons = function() {
+  const reasons = [];
+  const correctLabel = this.feedback?.correctLabel;
+
+  if (correctLabel !== undefined && correctLabel !== null && correctLabel !== this.prediction.label) {
+    reasons.push('label_disagreement');
+  }
+  if (this.prediction.confidence < REVIEW_THRESHOLDS.confidence) {
+    reasons.push('low_confidence');
+  }
+  if (this.biasScore.overallBias > REVIEW_THRESHOLDS.overallBias) {
+    reasons.push('high_bias');
+  }
+
+  return reasons;
 };
 
 module.exports = mongoose.model('Prediction', PredictionSchema);
@@ -0,0 +1,111 @@
+/**
+ * PredictionJob Model - MongoDB Schema
+ * Tracks asynchronous prediction jobs processed by the job worker
+ */
+
+const mongoose = require('mongoose');
+
+const PredictionJobSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: false // Allow anonymous jobs
+  },
+
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+
+  items: [{
+    text: {
+      type: String,
+      required: [true, 'Text is required'],
+      trim: true
+    },
+    language: {
+      type: String,
+      required: [true, 'Language is required'],
+      enum: ['ha', 'yo', 'ig', 'pcm'],
+      lowercase: true
+    },
+    ref: String, // Optional client reference id
+    modelVersion: String, // Optional pinned registry model
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    predictionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Prediction'
+    },
+    error: String
+  }],
+
+  progress: {
+    total: { type: Number, default: 0 },
+    completed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+
+  metadata: {
+    ipAddress: String,
+    userAgent: String,
+    apiKeyId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ApiKey'
+    }
+  },
+
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  startedAt: Date,
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+// Indexes
+PredictionJobSchema.index({ status: 1, createdAt: 1 });
+PredictionJobSchema.index({ userId: 1, createdAt: -1 });
+
+// Set the progress total from the items
+PredictionJobSchema.pre('save', function(next) {
+  if (this.isNew) {
+    this.progress.total = this.items.length;
+  }
+  next();
+});
+
+// Method to get public job status without item texts
+PredictionJobSchema.methods.toStatusJSON = function() {
+  const total = this.progress.total || 0;
+  const done = this.progress.completed + this.progress.failed;
+
+  return {
+    jobId: this._id,
+    status: this.status,
+    progress: {
+      ...this.progress.toObject(),
+      percent: total ? Math.round((done / total) * 100) : 0
+    },
+    results: this.items.map((item, index) => ({
+      index,
+      ref: item.ref,
+      language: item.language,
+      status: item.status,
+      prediction: item.predictionId,
+      error: item.error
+    })),
+    createdAt: this.createdAt,
+    startedAt: this.startedAt,
+    completedAt: this.completedAt
+  };
+};
+
+module.exports = mongoose.model('PredictionJob', PredictionJobSchema);
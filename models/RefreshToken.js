@@ -0,0 +1,50 @@
+/**
+ * RefreshToken Model - MongoDB Schema
+ * Server-side refresh tokens; only a hash of the token is stored
+ */
+
+const mongoose = require('mongoose');
+
+const RefreshTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Every token rotated from the same login shares a family
+  family: {
+    type: String,
+    required: true
+  },
+
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+
+  revokedAt: Date,
+
+  revokedReason: {
+    type: String,
+    enum: ['rotated', 'logout', 'logout_all', 'reuse_detected', 'password_reset', 'admin']
+  },
+
+  createdByIp: String,
+  userAgent: String
+}, {
+  timestamps: true
+});
+
+RefreshTokenSchema.index({ userId: 1, revokedAt: 1 });
+RefreshTokenSchema.index({ family: 1 });
+// Expired tokens are removed by MongoDB
+RefreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RefreshToken', RefreshTokenSchema);
@@ -0,0 +1,26 @@
+/**
+ * RevokedToken Model - MongoDB Schema
+ * Access token denylist used when Redis is not available
+ */
+
+const mongoose = require('mongoose');
+
+const RevokedTokenSchema = new mongoose.Schema({
+  jti: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // The token's own expiry; after it the entry is no longer needed
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+RevokedTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RevokedToken', RevokedTokenSchema);
@@ -0,0 +1,25 @@
+/**
+ * Setting Model - MongoDB Schema
+ * Runtime settings that admins can change without a redeploy
+ */
+
+const mongoose = require('mongoose');
+
+const SettingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  value: mongoose.Schema.Types.Mixed,
+
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Setting', SettingSchema);
@@ -3,6 +3,7 @@
  * Handles user authentication and authorization
  */
 
+const crypto = require('crypto');
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
 
@@ -54,6 +55,37 @@ const UserSchema = new mongoose.Schema({
     type: Date
   },
   
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  
+  emailVerifiedAt: {
+    type: Date
+  },
+  
+  // Single-use tokens for email links; only hashes are stored
+  passwordResetToken: {
+    hash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  
+  emailVerificationToken: {
+    hash: { type: String, select: false },
+    expiresAt: { type: Date, select: false }
+  },
+  
+  // Set when an admin forces a password reset; login is refused until reset
+  passwordResetRequired: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Access tokens issued before this are rejected (log out all sessions)
+  tokensValidAfter: {
+    type: Date
+  },
+  
   createdAt: {
     type: Date,
     default: Date.now
@@ -68,7 +100,9 @@ const UserSchema = new mongoose.Schema({
 });
 
 // Index for faster queries (email index is already created by unique: true)
-UserSchema.index({ role: 1 });
+UserSchema.index({ role: 1, isActive: 1 });
+UserSchema.index({ 'passwordResetToken.hash': 1 }, { sparse: true });
+UserSchema.index({ 'emailVerificationToken.hash': 1 }, { sparse: true });
 
 // Hash password before saving
 UserSchema.pre('save', async function(next) {
@@ -94,6 +128,33 @@ UserSchema.methods.comparePassword = async function(candidatePassword) {
   }
 };
 
+// Lifetimes of the emailed tokens
+const AUTH_TOKEN_TTL_MINUTES = {
+  passwordResetToken: parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60,
+  emailVerificationToken: parseInt(process.env.EMAIL_VERIFICATION_TTL_HOURS) * 60 || 48 * 60
+};
+
+const hashAuthToken = token => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Method to create a password reset or email verification token (returns the raw token)
+UserSchema.methods.createAuthToken = function(field) {
+  const token = crypto.randomBytes(32).toString('hex');
+  this[field] = {
+    hash: hashAuthToken(token),
+    expiresAt: new Date(Date.now() + AUTH_TOKEN_TTL_MINUTES[field] * 60 * 1000)
+  };
+  return token;
+};
+
+// Static to consume a token: atomically clears it so it can only be used once
+UserSchema.statics.consumeAuthToken = function(field, token) {
+  return this.findOneAndUpdate(
+    { [`${field}.hash`]: hashAuthToken(token), [`${field}.expiresAt`]: { $gt: new Date() } },
+    { $unset: { [field]: 1 } },
+    { new: true }
+  );
+};
+
 // Method to get public profile
 UserSchema.methods.toPublicJSON = function() {
   return {
@@ -103,6 +164,7 @@ UserSchema.methods.toPublicJSON = function() {
     role: this.role,
     institution: this.institution,
     researchArea: this.researchArea,
+    emailVerified: this.emailVerified,
     createdAt: this.createdAt
   };
 };
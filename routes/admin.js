@@ -5,27 +5,94 @@
 
 const express = require('express');
 const router = express.Router();
+const { body, query, param, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Prediction = require('../models/Prediction');
 const Performance = require('../models/Performance');
+const Dataset = require('../models/Dataset');
+const EvaluationRun = require('../models/EvaluationRun');
+const DriftSnapshot = require('../models/DriftSnapshot');
+const ModelCalibration = require('../models/ModelCalibration');
 const { protect, authorize } = require('../middleware/auth');
+const { flushPredictionCache, getPredictionCacheStats } = require('../services/predictionCache');
+const { listModels, getRegistryStats } = require('../services/modelRegistry');
+const { buildShadowReport } = require('../services/shadowEvaluation');
+const { startEvaluation, runEvaluation } = require('../services/evaluationRunner');
+const { compareModels } = require('../services/modelComparison');
+const { DRIFT_CONFIG, runDriftCheck } = require('../services/driftMonitor');
+const {
+  CALIBRATION_SOURCES,
+  buildCalibrationReport,
+  fitScaling,
+  clearScalingCache
+} = require('../services/calibration');
+const { getSettings, updateSettings } = require('../services/settings');
+const {
+  USER_ROLES,
+  AUDIT_ACTIONS,
+  searchUsers,
+  changeUserRole,
+  setUserActive,
+  forcePasswordReset,
+  listAuditLog
+} = require('../services/userAdmin');
+const { FAIRNESS_ATTRIBUTES, rankDisparityDrivers } = require('../utils/fairness');
 const logger = require('../utils/logger');
 
 // All routes require admin role
 router.use(protect, authorize('admin'));
 
+/**
+ * Map user administration errors to a response
+ */
+const sendUserAdminError = (res, error, fallback) => {
+  const status = { USER_NOT_FOUND: 404, LAST_ADMIN: 409, USER_INACTIVE: 409 }[error.code];
+  if (status) {
+    return res.status(status).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${fallback}: ${error.message}`);
+  res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+const auditMeta = req => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
 /**
  * @route   GET /api/admin/users
- * @desc    Get all users
+ * @desc    Search users by email, name, role, institution and isActive (paginated)
  * @access  Private (admin)
  */
-router.get('/users', async (req, res) => {
+router.get('/users', [
+  query('q').optional().isString().trim().isLength({ max: 200 }),
+  query('email').optional().isString().trim().isLength({ max: 200 }),
+  query('name').optional().isString().trim().isLength({ max: 200 }),
+  query('institution').optional().isString().trim().isLength({ max: 200 }),
+  query('role').optional().isIn(USER_ROLES),
+  query('isActive').optional().isBoolean().toBoolean(),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
   try {
-    const users = await User.find().select('-password');
-    
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { q, email, name, role, institution, isActive, page, limit } = req.query;
+    const result = await searchUsers({ q, email, name, role, institution, isActive }, { page, limit });
+
     res.json({
       success: true,
-      data: users
+      data: result
     });
 
   } catch (error) {
@@ -37,6 +104,196 @@ router.get('/users', async (req, res) => {
   }
 });
 
+/**
+ * @route   PUT /api/admin/users/:id/role
+ * @desc    Promote or demote a user (the last active admin cannot be demoted)
+ * @access  Private (admin)
+ */
+router.put('/users/:id/role', [
+  param('id').isMongoId(),
+  body('role').isIn(USER_ROLES),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user, changed } = await changeUserRole(req.user, req.params.id, req.body.role, {
+      reason: req.body.reason,
+      meta: auditMeta(req)
+    });
+
+    if (changed) {
+      logger.info(`Role of ${user.email} changed to ${user.role} by ${req.user.email}`);
+    }
+
+    res.json({
+      success: true,
+      data: { user, changed }
+    });
+
+  } catch (error) {
+    sendUserAdminError(res, error, 'Failed to change user role');
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/deactivate
+ * @desc    Deactivate an account and end its sessions (not the last active admin)
+ * @access  Private (admin)
+ */
+router.post('/users/:id/deactivate', [
+  param('id').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user, changed } = await setUserActive(req.user, req.params.id, false, {
+      reason: req.body.reason,
+      meta: auditMeta(req)
+    });
+
+    if (changed) {
+      logger.info(`User ${user.email} deactivated by ${req.user.email}`);
+    }
+
+    res.json({
+      success: true,
+      data: { user, changed }
+    });
+
+  } catch (error) {
+    sendUserAdminError(res, error, 'Failed to deactivate user');
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/reactivate
+ * @desc    Reactivate a deactivated account
+ * @access  Private (admin)
+ */
+router.post('/users/:id/reactivate', [
+  param('id').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user, changed } = await setUserActive(req.user, req.params.id, true, {
+      reason: req.body.reason,
+      meta: auditMeta(req)
+    });
+
+    if (changed) {
+      logger.info(`User ${user.email} reactivated by ${req.user.email}`);
+    }
+
+    res.json({
+      success: true,
+      data: { user, changed }
+    });
+
+  } catch (error) {
+    sendUserAdminError(res, error, 'Failed to reactivate user');
+  }
+});
+
+/**
+ * @route   POST /api/admin/users/:id/password-reset
+ * @desc    Force a password reset: end sessions, revoke API keys, block login and email a reset link
+ * @access  Private (admin)
+ */
+router.post('/users/:id/password-reset', [
+  param('id').isMongoId(),
+  body('reason').optional().isString().trim().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user, emailSent } = await forcePasswordReset(req.user, req.params.id, {
+      reason: req.body.reason,
+      meta: auditMeta(req)
+    });
+
+    logger.info(`Password reset forced for ${user.email} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: {
+        emailSent,
+        message: emailSent
+          ? `A password reset link has been sent to ${user.email}`
+          : `Login is blocked until ${user.email} resets their password, but the reset email could not be sent - they can request one with forgot-password`
+      }
+    });
+
+  } catch (error) {
+    sendUserAdminError(res, error, 'Failed to force password reset');
+  }
+});
+
+/**
+ * @route   GET /api/admin/audit-log
+ * @desc    Audit trail of user administration changes (paginated)
+ * @access  Private (admin)
+ */
+router.get('/audit-log', [
+  query('targetUserId').optional().isMongoId(),
+  query('actorId').optional().isMongoId(),
+  query('action').optional().isIn(AUDIT_ACTIONS),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { targetUserId, actorId, action, page, limit } = req.query;
+    const result = await listAuditLog({ targetUserId, actorId, action }, { page, limit });
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Audit log fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch audit log'
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/performance
  * @desc    Get model performance metrics
@@ -87,6 +344,751 @@ router.post('/performance', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/admin/performance/compare
+ * @desc    Per-language metric deltas, regressions and flipped samples between two model versions
+ * @access  Private (admin)
+ */
+router.get('/performance/compare', [
+  query('base').isString().trim().notEmpty(),
+  query('candidate').isString().trim().notEmpty(),
+  query('split').optional().isIn(['train', 'validation', 'test']),
+  query('maxMetricDrop').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  query('maxFairnessIncrease').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  query('flipLimit').optional().isInt({ min: 0, max: 500 }).toInt() // 0 = flip counts only
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { base, candidate, split, maxMetricDrop, maxFairnessIncrease, flipLimit } = req.query;
+
+    const thresholds = {};
+    if (maxMetricDrop !== undefined) thresholds.maxMetricDrop = maxMetricDrop;
+    if (maxFairnessIncrease !== undefined) thresholds.maxFairnessIncrease = maxFairnessIncrease;
+
+    const report = await compareModels({ base, candidate, split, thresholds, flipLimit });
+
+    if (report.languages.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: `No Performance records shared by ${base} and ${candidate}${split ? ` on the ${split} split` : ''}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error(`Model comparison error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compare model versions'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/performance/:id/fairness
+ * @desc    Per-subgroup fairness of a Performance record and the groups driving the disparity
+ * @access  Private (admin)
+ */
+router.get('/performance/:id/fairness', [
+  param('id').isMongoId(),
+  query('attribute').optional().isIn(FAIRNESS_ATTRIBUTES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const performance = await Performance.findById(req.params.id)
+      .select('modelVersion language split evaluationRunId fairnessMetrics sampleSize');
+
+    if (!performance) {
+      return res.status(404).json({
+        success: false,
+        error: 'Performance record not found'
+      });
+    }
+
+    const groups = (performance.fairnessMetrics?.groups || [])
+      .map(group => group.toObject())
+      .filter(group => !req.query.attribute || group.attribute === req.query.attribute);
+
+    const byAaod = rankDisparityDrivers(groups, 'aaod');
+    const byEod = rankDisparityDrivers(groups, 'eod');
+
+    res.json({
+      success: true,
+      data: {
+        modelVersion: performance.modelVersion,
+        language: performance.language,
+        split: performance.split,
+        evaluationRunId: performance.evaluationRunId,
+        sampleSize: performance.sampleSize,
+        eod: performance.fairnessMetrics?.eod,
+        aaod: performance.fairnessMetrics?.aaod,
+        // Unreliable groups are ranked last; they are too small to drive the headline values
+        drivers: {
+          eod: byEod[0] || null,
+          aaod: byAaod[0] || null
+        },
+        groups: byAaod
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Fairness report error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build fairness report'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/evaluations
+ * @desc    Start (or resume) an offline evaluation of a model version on a split
+ * @access  Private (admin)
+ */
+router.post('/evaluations', [
+  body('modelVersion').isString().trim().notEmpty(),
+  body('split').optional().isIn(['train', 'validation', 'test']),
+  body('languages').optional().isArray(),
+  body('languages.*').isIn(['ha', 'yo', 'ig', 'pcm']),
+  body('verifiedOnly').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { modelVersion, split, languages, verifiedOnly } = req.body;
+
+    const run = await startEvaluation({
+      modelVersion,
+      split,
+      languages,
+      verifiedOnly,
+      startedBy: req.user._id
+    });
+
+    // Runs in the background; poll GET /evaluations/:id for progress
+    runEvaluation(run._id);
+
+    logger.info(`Evaluation ${run._id} started by ${req.user.email}`);
+
+    res.status(202).json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    if (error.code === 'MODEL_NOT_AVAILABLE') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Evaluation start error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start evaluation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/evaluations
+ * @desc    List recent evaluation runs
+ * @access  Private (admin)
+ */
+router.get('/evaluations', async (req, res) => {
+  try {
+    const runs = await EvaluationRun.find()
+      .sort({ createdAt: -1 })
+      .limit(50);
+
+    res.json({
+      success: true,
+      data: runs
+    });
+
+  } catch (error) {
+    logger.error(`Evaluation list error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation runs'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/evaluations/:id
+ * @desc    Get an evaluation run with its Performance records
+ * @access  Private (admin)
+ */
+router.get('/evaluations/:id', param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const run = await EvaluationRun.findById(req.params.id).populate('performanceIds');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        error: 'Evaluation run not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: run
+    });
+
+  } catch (error) {
+    logger.error(`Evaluation fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch evaluation run'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/review-queue
+ * @desc    Predictions whose feedback disagrees with the model or that need review
+ * @access  Private (admin)
+ */
+router.get('/review-queue', [
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm']),
+  query('reason').optional().isIn(['label_disagreement', 'low_confidence', 'high_bias'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const reasonFilters = Prediction.reviewQueueFilter().$or;
+    const reasonIndex = ['label_disagreement', 'low_confidence', 'high_bias'].indexOf(req.query.reason);
+
+    const filter = {
+      'review.promotedAt': { $exists: false },
+      ...(reasonIndex >= 0 ? reasonFilters[reasonIndex] : { $or: reasonFilters })
+    };
+    if (req.query.language) filter.language = req.query.language;
+
+    const [predictions, total] = await Promise.all([
+      Prediction.find(filter)
+        .sort({ timestamp: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('text language prediction biasScore feedback metadata.modelVersion timestamp'),
+      Prediction.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        predictions: predictions.map(prediction => ({
+          ...prediction.toObject(),
+          reasons: prediction.reviewReasons()
+        })),
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Review queue fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch review queue'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/review-queue/:predictionId/promote
+ * @desc    Promote a reviewed prediction into a Dataset sample
+ * @access  Private (admin)
+ */
+router.post('/review-queue/:predictionId/promote', [
+  param('predictionId').isMongoId(),
+  body('label').optional().isInt({ min: 0, max: 1 }).toInt(),
+  body('domain').optional().isIn(Dataset.schema.path('metadata.domain').enumValues),
+  body('split').optional().isIn(Dataset.schema.path('split').enumValues)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const prediction = await Prediction.findById(req.params.predictionId);
+
+    if (!prediction) {
+      return res.status(404).json({
+        success: false,
+        error: 'Prediction not found'
+      });
+    }
+
+    if (prediction.review?.promotedAt) {
+      return res.status(409).json({
+        success: false,
+        error: 'Prediction has already been promoted',
+        datasetSampleId: prediction.review.datasetSampleId
+      });
+    }
+
+    // The model's own label is never used as ground truth
+    const label = req.body.label ?? prediction.feedback?.correctLabel;
+    if (label === undefined || label === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Prediction has no feedback label - provide a label to promote it'
+      });
+    }
+
+    if (await Dataset.exists({ text: prediction.text })) {
+      return res.status(409).json({
+        success: false,
+        error: 'A dataset sample with this text already exists'
+      });
+    }
+
+    const sample = await Dataset.create({
+      text: prediction.text,
+      language: prediction.language,
+      label,
+      isHumanGenerated: label === 0,
+      metadata: {
+        source: `feedback:${prediction._id}`,
+        domain: req.body.domain
+      },
+      split: req.body.split
+    });
+
+    prediction.review = {
+      datasetSampleId: sample._id,
+      promotedBy: req.user._id,
+      promotedAt: new Date()
+    };
+    await prediction.save();
+
+    logger.info(`Prediction ${prediction._id} promoted to dataset sample ${sample._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Prediction promotion error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to promote prediction'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/models
+ * @desc    List registered ML backends with traffic weights and breaker state
+ * @access  Private (admin)
+ */
+router.get('/models', (req, res) => {
+  const stats = getRegistryStats();
+
+  res.json({
+    success: true,
+    data: listModels().map((model, index) => ({
+      ...model,
+      circuit: stats[index].state
+    }))
+  });
+});
+
+/**
+ * @route   GET /api/admin/shadow-report
+ * @desc    Agreement, confidence deltas and latency between primary and shadow models
+ * @access  Private (admin)
+ */
+router.get('/shadow-report', [
+  query('since').optional().isISO8601().toDate(),
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm']),
+  query('modelVersion').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const report = await buildShadowReport({
+      since: req.query.since,
+      language: req.query.language,
+      modelVersion: req.query.modelVersion
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error(`Shadow report error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build shadow report'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/calibration
+ * @desc    ECE, Brier score and reliability bins per model version and language
+ * @access  Private (admin)
+ */
+router.get('/calibration', [
+  query('source').optional().isIn(CALIBRATION_SOURCES),
+  query('modelVersion').optional().isString().trim().notEmpty(),
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm']),
+  query('bins').optional().isInt({ min: 2, max: 50 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const report = await buildCalibrationReport({
+      source: req.query.source,
+      modelVersion: req.query.modelVersion,
+      language: req.query.language,
+      bins: req.query.bins
+    });
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error(`Calibration report error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build calibration report'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/calibration/:modelVersion
+ * @desc    Store a temperature or Platt scaling for a model version, given or fitted
+ *          on its labelled samples (fit: true)
+ * @access  Private (admin)
+ */
+router.put('/calibration/:modelVersion', [
+  param('modelVersion').isString().trim().notEmpty(),
+  body('method').isIn(['temperature', 'platt']),
+  body('fit').optional().isBoolean().toBoolean(),
+  body('source').optional().isIn(CALIBRATION_SOURCES),
+  body('temperature').optional().isFloat({ min: 0.01, max: 100 }).toFloat(),
+  body('plattA').optional().isFloat().toFloat(),
+  body('plattB').optional().isFloat().toFloat()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { modelVersion } = req.params;
+    const { method, fit, source, temperature, plattA, plattB } = req.body;
+
+    let scaling;
+    if (fit) {
+      scaling = await fitScaling({ modelVersion, method, source });
+      if (!scaling) {
+        return res.status(400).json({
+          success: false,
+          error: `No labelled samples to fit a scaling for ${modelVersion}`
+        });
+      }
+    } else if (method === 'temperature' && temperature !== undefined) {
+      scaling = { method, temperature };
+    } else if (method === 'platt' && plattA !== undefined && plattB !== undefined) {
+      scaling = { method, plattA, plattB };
+    } else {
+      return res.status(400).json({
+        success: false,
+        error: 'Provide temperature (or plattA and plattB), or set fit: true'
+      });
+    }
+
+    const unset = method === 'temperature' ? { plattA: 1, plattB: 1 } : { temperature: 1 };
+    if (!fit) unset.fit = 1;
+
+    const calibration = await ModelCalibration.findOneAndUpdate(
+      { modelVersion },
+      { $set: { ...scaling, modelVersion, updatedBy: req.user._id }, $unset: unset },
+      { new: true, upsert: true, runValidators: true }
+    );
+    clearScalingCache();
+
+    logger.info(`Calibration for ${modelVersion} set to ${method} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: calibration
+    });
+
+  } catch (error) {
+    logger.error(`Calibration update error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to store calibration'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/admin/calibration/:modelVersion
+ * @desc    Stop scaling a model version's confidences
+ * @access  Private (admin)
+ */
+router.delete('/calibration/:modelVersion', async (req, res) => {
+  try {
+    const calibration = await ModelCalibration.findOneAndDelete({ modelVersion: req.params.modelVersion });
+    clearScalingCache();
+
+    if (!calibration) {
+      return res.status(404).json({
+        success: false,
+        error: 'No calibration stored for this model version'
+      });
+    }
+
+    logger.info(`Calibration for ${req.params.modelVersion} removed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: calibration
+    });
+
+  } catch (error) {
+    logger.error(`Calibration removal error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove calibration'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/drift
+ * @desc    Recent drift snapshots of prediction traffic
+ * @access  Private (admin)
+ */
+router.get('/drift', [
+  query('status').optional().isIn(['ok', 'drift', 'insufficient_data']),
+  query('limit').optional().isInt({ min: 1, max: 200 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const filter = req.query.status ? { status: req.query.status } : {};
+    const snapshots = await DriftSnapshot.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(req.query.limit || 24);
+
+    res.json({
+      success: true,
+      data: {
+        config: { ...DRIFT_CONFIG, webhookUrl: Boolean(DRIFT_CONFIG.webhookUrl) },
+        snapshots
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Drift snapshot fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch drift snapshots'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/admin/drift/check
+ * @desc    Run a drift check now and store its snapshot
+ * @access  Private (admin)
+ */
+router.post('/drift/check', async (req, res) => {
+  try {
+    const snapshot = await runDriftCheck({ trigger: 'manual' });
+
+    logger.info(`Drift check ${snapshot._id} run by ${req.user.email}: ${snapshot.status}`);
+
+    res.status(201).json({
+      success: true,
+      data: snapshot
+    });
+
+  } catch (error) {
+    logger.error(`Drift check error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to run drift check'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/cache
+ * @desc    Get prediction cache backend and size
+ * @access  Private (admin)
+ */
+router.get('/cache', (req, res) => {
+  res.json({
+    success: true,
+    data: getPredictionCacheStats()
+  });
+});
+
+/**
+ * @route   DELETE /api/admin/cache
+ * @desc    Flush cached prediction results (run after a model deploy)
+ * @access  Private (admin)
+ */
+router.delete('/cache', async (req, res) => {
+  try {
+    const removed = await flushPredictionCache();
+
+    logger.info(`Prediction cache flushed by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: { removed }
+    });
+
+  } catch (error) {
+    logger.error(`Cache flush error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to flush prediction cache'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/admin/settings
+ * @desc    Get runtime settings
+ * @access  Private (admin)
+ */
+router.get('/settings', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: await getSettings()
+    });
+
+  } catch (error) {
+    logger.error(`Settings fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch settings'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/admin/settings
+ * @desc    Update runtime settings (e.g. requireVerifiedEmailForResearchers)
+ * @access  Private (admin)
+ */
+router.put('/settings', async (req, res) => {
+  try {
+    const settings = await updateSettings(req.body || {}, req.user._id);
+
+    logger.info(`Settings updated by ${req.user.email}: ${Object.keys(req.body || {}).join(', ')}`);
+
+    res.json({
+      success: true,
+      data: settings
+    });
+
+  } catch (error) {
+    if (error.code === 'INVALID_SETTING') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Settings update error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update settings'
+    });
+  }
+});
+
 /**
  * @route   GET /api/admin/dashboard
  * @desc    Get admin dashboard data
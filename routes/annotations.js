@@ -0,0 +1,425 @@
+/**
+ * Annotation Routes
+ * Hands out dataset samples to annotators and records their annotations
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, query, param, validationResult } = require('express-validator');
+const Dataset = require('../models/Dataset');
+const { protect, authorize, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  AGREEMENT_FIELDS,
+  buildAgreementReport,
+  listConflictingSamples
+} = require('../services/annotationAgreement');
+const logger = require('../utils/logger');
+
+const ANNOTATION_TARGET = parseInt(process.env.ANNOTATION_TARGET) || 3;
+const CLAIM_TTL_MS = (parseInt(process.env.ANNOTATION_CLAIM_TTL_MINUTES) || 30) * 60 * 1000;
+
+// All routes require researcher or admin role (and a verified email when configured)
+router.use(protect, authorize('researcher', 'admin'), requireVerifiedEmail);
+
+/**
+ * Fields returned to annotators (other annotators' work stays hidden)
+ */
+const ANNOTATOR_FIELDS = 'text language metadata.domain metadata.dialect';
+
+/**
+ * @route   GET /api/annotations/next
+ * @desc    Claim the next sample the current user has not annotated
+ * @access  Private (researcher, admin)
+ */
+router.get('/next', [
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm']),
+  query('dialect').optional().isString().trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { language, dialect } = req.query;
+    const annotatorId = req.user._id;
+    const now = new Date();
+
+    const scope = {};
+    if (language) scope.language = language;
+    if (dialect) scope['metadata.dialect'] = dialect;
+
+    // Resume a sample this annotator already holds
+    const claimed = await Dataset.findOne({
+      ...scope,
+      annotationClaims: { $elemMatch: { annotatorId, expiresAt: { $gt: now } } }
+    }).select(ANNOTATOR_FIELDS);
+
+    if (claimed) {
+      return res.json({
+        success: true,
+        data: claimed
+      });
+    }
+
+    // Drop this annotator's expired claims so those samples can be handed out again
+    await Dataset.updateMany(
+      { annotationClaims: { $elemMatch: { annotatorId, expiresAt: { $lte: now } } } },
+      { $pull: { annotationClaims: { annotatorId, expiresAt: { $lte: now } } } }
+    );
+
+    // Annotations plus live claims must stay under the target
+    const sample = await Dataset.findOneAndUpdate(
+      {
+        ...scope,
+        'annotations.annotatorId': { $ne: annotatorId },
+        'annotationClaims.annotatorId': { $ne: annotatorId },
+        $expr: {
+          $lt: [
+            {
+              $add: [
+                { $size: { $ifNull: ['$annotations', []] } },
+                {
+                  $size: {
+                    $filter: {
+                      input: { $ifNull: ['$annotationClaims', []] },
+                      as: 'claim',
+                      cond: { $gt: ['$$claim.expiresAt', now] }
+                    }
+                  }
+                }
+              ]
+            },
+            ANNOTATION_TARGET
+          ]
+        }
+      },
+      { $push: { annotationClaims: { annotatorId, expiresAt: new Date(now.getTime() + CLAIM_TTL_MS) } } },
+      { new: true, sort: { createdAt: 1 } }
+    ).select(ANNOTATOR_FIELDS);
+
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        error: 'No samples left to annotate'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Next annotation fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch next sample'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/annotations/:id
+ * @desc    Submit the current user's annotation for a sample
+ * @access  Private (researcher, admin)
+ */
+router.post('/:id', [
+  param('id').isMongoId(),
+  body('sentiment').optional().isIn(['positive', 'negative', 'neutral']),
+  body('entities').optional().isArray(),
+  body('entities.*.text').optional().isString(),
+  body('entities.*.type').optional().isString(),
+  body('entities.*.start').optional().isInt({ min: 0 }).toInt(),
+  body('entities.*.end').optional().isInt({ min: 0 }).toInt(),
+  body('biasFlags.hasGenderBias').optional().isBoolean().toBoolean(),
+  body('biasFlags.hasEthnicBias').optional().isBoolean().toBoolean(),
+  body('biasFlags.hasReligiousBias').optional().isBoolean().toBoolean(),
+  body('quality').optional().isInt({ min: 1, max: 5 }).toInt(),
+  // An annotation must label something, or it would count towards the target and agreement
+  body().custom(({ sentiment, entities, biasFlags } = {}) => {
+    const hasBiasFlags = ['hasGenderBias', 'hasEthnicBias', 'hasReligiousBias']
+      .some(flag => biasFlags?.[flag] !== undefined);
+    if (sentiment === undefined && !(Array.isArray(entities) && entities.length > 0) && !hasBiasFlags) {
+      throw new Error('Provide at least one of sentiment, entities or biasFlags');
+    }
+    return true;
+  })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { sentiment, entities, biasFlags, quality } = req.body;
+    const annotatorId = req.user._id;
+
+    // The annotatorId condition makes a second submission a no-op
+    const result = await Dataset.updateOne(
+      { _id: req.params.id, 'annotations.annotatorId': { $ne: annotatorId } },
+      {
+        $push: {
+          annotations: {
+            annotatorId,
+            sentiment,
+            entities,
+            biasFlags,
+            quality,
+            timestamp: new Date()
+          }
+        },
+        $pull: { annotationClaims: { annotatorId } }
+      },
+      { runValidators: true }
+    );
+
+    if (result.modifiedCount === 0) {
+      const exists = await Dataset.exists({ _id: req.params.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        error: exists ? 'You have already annotated this sample' : 'Dataset sample not found'
+      });
+    }
+
+    logger.info(`Annotation submitted for ${req.params.id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: { sampleId: req.params.id }
+    });
+
+  } catch (error) {
+    logger.error(`Annotation submission error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to submit annotation'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/annotations/queue
+ * @desc    Count samples with fewer than N annotations, per language
+ * @access  Private (admin)
+ */
+router.get('/queue', authorize('admin'), [
+  query('target').optional().isInt({ min: 1, max: 20 }).toInt(),
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const target = req.query.target || ANNOTATION_TARGET;
+    const match = req.query.language ? { language: req.query.language } : {};
+
+    const counts = await Dataset.aggregate([
+      { $match: match },
+      {
+        $project: {
+          language: 1,
+          annotationCount: { $size: { $ifNull: ['$annotations', []] } }
+        }
+      },
+      { $match: { annotationCount: { $lt: target } } },
+      {
+        $group: {
+          _id: { language: '$language', annotationCount: '$annotationCount' },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.language': 1, '_id.annotationCount': 1 } }
+    ]);
+
+    // Reshape into { language, pending, byAnnotationCount }
+    const byLanguage = {};
+    counts.forEach(({ _id, count }) => {
+      const entry = byLanguage[_id.language] || { language: _id.language, pending: 0, byAnnotationCount: {} };
+      entry.pending += count;
+      entry.byAnnotationCount[_id.annotationCount] = count;
+      byLanguage[_id.language] = entry;
+    });
+
+    const languages = Object.values(byLanguage);
+
+    res.json({
+      success: true,
+      data: {
+        target,
+        pending: languages.reduce((total, entry) => total + entry.pending, 0),
+        byLanguage: languages
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Annotation queue error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch annotation queue'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/annotations/agreement
+ * @desc    Inter-annotator agreement per language and field
+ * @access  Private (researcher, admin)
+ */
+router.get('/agreement', [
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm']),
+  query('split').optional().isIn(['train', 'validation', 'test'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const match = {};
+    if (req.query.language) match.language = req.query.language;
+    if (req.query.split) match.split = req.query.split;
+
+    const report = await buildAgreementReport(match);
+
+    res.json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error(`Agreement report error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build agreement report'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/annotations/conflicts
+ * @desc    List samples whose annotators disagree
+ * @access  Private (researcher, admin)
+ */
+router.get('/conflicts', [
+  query('language').optional().isIn(['ha', 'yo', 'ig', 'pcm']),
+  query('field').optional().isIn(AGREEMENT_FIELDS),
+  query('includeAdjudicated').optional().isIn(['true', 'false'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const conflicts = await listConflictingSamples({
+      match: req.query.language ? { language: req.query.language } : {},
+      field: req.query.field,
+      includeAdjudicated: req.query.includeAdjudicated === 'true'
+    });
+
+    res.json({
+      success: true,
+      data: {
+        samples: conflicts.slice(skip, skip + limit),
+        pagination: {
+          page,
+          limit,
+          total: conflicts.length,
+          pages: Math.ceil(conflicts.length / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Annotation conflicts error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch conflicting samples'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/annotations/:id/adjudicate
+ * @desc    Record the resolved annotation values and mark the sample verified
+ * @access  Private (admin)
+ */
+router.post('/:id/adjudicate', authorize('admin'), [
+  param('id').isMongoId(),
+  body('sentiment').optional().isIn(['positive', 'negative', 'neutral']),
+  body('biasFlags.hasGenderBias').optional().isBoolean().toBoolean(),
+  body('biasFlags.hasEthnicBias').optional().isBoolean().toBoolean(),
+  body('biasFlags.hasReligiousBias').optional().isBoolean().toBoolean(),
+  body('quality').optional().isInt({ min: 1, max: 5 }).toInt(),
+  body('notes').optional().isString().trim().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sample = await Dataset.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset sample not found'
+      });
+    }
+
+    const { sentiment, biasFlags, quality, notes } = req.body;
+
+    sample.adjudication = {
+      sentiment,
+      biasFlags,
+      quality,
+      notes,
+      adjudicatorId: req.user._id,
+      adjudicatedAt: new Date()
+    };
+    sample.isVerified = true;
+    await sample.save();
+
+    logger.info(`Sample adjudicated: ${sample._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Adjudication error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to adjudicate sample'
+    });
+  }
+});
+
+module.exports = router;
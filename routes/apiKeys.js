@@ -0,0 +1,133 @@
+/**
+ * API Key Routes
+ * Self-service API keys for scripts and institutional clients
+ */
+
+const express = require('express');
+const router = express.Router();
+const { body, param, validationResult } = require('express-validator');
+const ApiKey = require('../models/ApiKey');
+const { protect } = require('../middleware/auth');
+const { API_KEY_SCOPES, createApiKey } = require('../services/apiKeyService');
+const logger = require('../utils/logger');
+
+// Keys are managed with a user session only, never with another key
+router.use(protect);
+
+/**
+ * @route   POST /api/keys
+ * @desc    Create an API key (the key is only shown in this response)
+ * @access  Private
+ */
+router.post('/', [
+  body('name').isString().trim().isLength({ min: 1, max: 100 }),
+  body('scopes').isArray({ min: 1 }),
+  body('scopes.*').isIn(API_KEY_SCOPES),
+  body('expiresInDays').optional().isInt({ min: 1, max: 365 }).toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expiresInDays } = req.body;
+    const { apiKey, key } = await createApiKey(req.user, { name, scopes, expiresInDays });
+
+    logger.info(`API key ${apiKey.prefix} created by ${req.user.email} (${apiKey.scopes.join(', ')})`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...apiKey.toPublicJSON(),
+        key
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'API_KEY_SCOPE_FORBIDDEN' || error.code === 'API_KEY_LIMIT') {
+      return res.status(400).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`API key creation error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/keys
+ * @desc    List the current user's API keys
+ * @access  Private
+ */
+router.get('/', async (req, res) => {
+  try {
+    const apiKeys = await ApiKey.find({ userId: req.user._id }).sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: apiKeys.map(apiKey => apiKey.toPublicJSON())
+    });
+
+  } catch (error) {
+    logger.error(`API key list error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch API keys'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/keys/:id
+ * @desc    Revoke one of the current user's API keys
+ * @access  Private
+ */
+router.delete('/:id', param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const apiKey = await ApiKey.findOneAndUpdate(
+      { _id: req.params.id, userId: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } },
+      { new: true }
+    );
+
+    if (!apiKey) {
+      return res.status(404).json({
+        success: false,
+        error: 'Active API key not found'
+      });
+    }
+
+    logger.info(`API key ${apiKey.prefix} revoked by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: apiKey.toPublicJSON()
+    });
+
+  } catch (error) {
+    logger.error(`API key revoke error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key'
+    });
+  }
+});
+
+module.exports = router;
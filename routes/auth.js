@@ -5,19 +5,38 @@
 
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
 const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const { protect } = require('../middleware/auth');
+const {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  denyAccessToken,
+  revokeAllSessions
+} = require('../services/tokenService');
+const { sendPasswordResetEmail, sendVerificationEmail } = require('../services/mailer');
 const logger = require('../utils/logger');
 
 /**
- * Generate JWT token
+ * Client details stored with a refresh token
  */
-const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || '7d'
-  });
+const sessionMeta = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+/**
+ * Create a verification token and email it; a mail failure never fails the caller
+ */
+const sendVerification = async (user) => {
+  try {
+    const token = user.createAuthToken('emailVerificationToken');
+    await user.save({ validateBeforeSave: false });
+    await sendVerificationEmail(user, token);
+  } catch (error) {
+    logger.error(`Verification email error for ${user.email}: ${error.message}`);
+  }
 };
 
 /**
@@ -60,8 +79,10 @@ router.post('/register', [
       researchArea
     });
 
-    // Generate token
-    const token = generateToken(user._id);
+    await sendVerification(user);
+
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(user, sessionMeta(req));
 
     logger.info(`New user registered: ${email}`);
 
@@ -69,7 +90,7 @@ router.post('/register', [
       success: true,
       data: {
         user: user.toPublicJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -128,12 +149,20 @@ router.post('/login', [
       });
     }
 
+    // An admin forced a password reset; the emailed link must be used first
+    if (user.passwordResetRequired) {
+      return res.status(403).json({
+        success: false,
+        error: 'A password reset is required - use the link sent to your email'
+      });
+    }
+
     // Update last login
     user.lastLogin = new Date();
     await user.save();
 
-    // Generate token
-    const token = generateToken(user._id);
+    // Generate access and refresh tokens
+    const tokens = await issueTokens(user, sessionMeta(req));
 
     logger.info(`User logged in: ${email}`);
 
@@ -141,7 +170,7 @@ router.post('/login', [
       success: true,
       data: {
         user: user.toPublicJSON(),
-        token
+        ...tokens
       }
     });
   } catch (error) {
@@ -153,6 +182,282 @@ router.post('/login', [
   }
 });
 
+/**
+ * @route   POST /api/auth/refresh
+ * @desc    Exchange a refresh token for a new access and refresh token
+ * @access  Public (refresh token)
+ */
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { user, tokens } = await rotateRefreshToken(req.body.refreshToken, sessionMeta(req));
+
+    res.json({
+      success: true,
+      data: {
+        user: user.toPublicJSON(),
+        ...tokens
+      }
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_REFRESH_TOKEN') {
+      return res.status(401).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error(`Token refresh error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during token refresh'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the current access token and the given refresh token
+ * @access  Private
+ */
+router.post('/logout', protect, [
+  body('refreshToken').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    await denyAccessToken(req.token);
+
+    if (req.body.refreshToken) {
+      await revokeRefreshToken(req.body.refreshToken, req.user._id);
+    }
+
+    logger.info(`User logged out: ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: {}
+    });
+  } catch (error) {
+    logger.error(`Logout error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/logout-all
+ * @desc    Revoke every session of the current user
+ * @access  Private
+ */
+router.post('/logout-all', protect, async (req, res) => {
+  try {
+    const revokedSessions = await revokeAllSessions(req.user._id);
+
+    logger.info(`All sessions revoked for ${req.user.email} (${revokedSessions} refresh tokens)`);
+
+    res.json({
+      success: true,
+      data: { revokedSessions }
+    });
+  } catch (error) {
+    logger.error(`Logout-all error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during logout'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/forgot-password
+ * @desc    Email a password reset link
+ * @access  Public
+ */
+router.post('/forgot-password', [
+  body('email').isEmail().normalizeEmail()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findOne({ email: req.body.email });
+
+    if (user && user.isActive) {
+      // Failures are only logged: an error here would reveal that the account exists
+      try {
+        const token = user.createAuthToken('passwordResetToken');
+        await user.save({ validateBeforeSave: false });
+        await sendPasswordResetEmail(user, token);
+        logger.info(`Password reset requested: ${user.email}`);
+      } catch (error) {
+        logger.error(`Password reset email error for ${user.email}: ${error.message}`);
+      }
+    }
+
+    // Same response whether or not the address exists
+    res.json({
+      success: true,
+      data: { message: 'If an account exists for this email, a reset link has been sent' }
+    });
+  } catch (error) {
+    logger.error(`Forgot password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during password reset request'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/reset-password
+ * @desc    Set a new password with a reset token and revoke existing sessions
+ * @access  Public (reset token)
+ */
+router.post('/reset-password', [
+  body('token').isString().notEmpty(),
+  body('password').isLength({ min: 6 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumeAuthToken('passwordResetToken', req.body.token);
+
+    if (!user || !user.isActive) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired reset token'
+      });
+    }
+
+    user.password = req.body.password;
+    user.passwordResetRequired = false;
+    // Receiving the reset email proves ownership of the address
+    if (!user.emailVerified) {
+      user.emailVerified = true;
+      user.emailVerifiedAt = new Date();
+    }
+    await user.save();
+
+    await revokeAllSessions(user._id, 'password_reset');
+
+    logger.info(`Password reset completed: ${user.email}`);
+
+    res.json({
+      success: true,
+      data: { message: 'Password has been reset - log in with the new password' }
+    });
+  } catch (error) {
+    logger.error(`Reset password error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during password reset'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/verify-email
+ * @desc    Confirm an email address with a verification token
+ * @access  Public (verification token)
+ */
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.consumeAuthToken('emailVerificationToken', req.body.token);
+
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid or expired verification token'
+      });
+    }
+
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    await user.save({ validateBeforeSave: false });
+
+    logger.info(`Email verified: ${user.email}`);
+
+    res.json({
+      success: true,
+      data: user.toPublicJSON()
+    });
+  } catch (error) {
+    logger.error(`Email verification error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error during email verification'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/auth/resend-verification
+ * @desc    Email a new verification link to the current user
+ * @access  Private
+ */
+router.post('/resend-verification', protect, async (req, res) => {
+  try {
+    if (req.user.emailVerified) {
+      return res.status(400).json({
+        success: false,
+        error: 'Email address is already verified'
+      });
+    }
+
+    await sendVerification(req.user);
+
+    res.json({
+      success: true,
+      data: { message: 'Verification email sent' }
+    });
+  } catch (error) {
+    logger.error(`Resend verification error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error while sending verification email'
+    });
+  }
+});
+
 /**
  * @route   GET /api/auth/me
  * @desc    Get current user profile
@@ -0,0 +1,646 @@
+/**
+ * Dataset Routes
+ * Manages training and evaluation dataset samples
+ */
+
+const express = require('express');
+const { pipeline } = require('stream/promises');
+const router = express.Router();
+const { body, query, param, validationResult } = require('express-validator');
+const Dataset = require('../models/Dataset');
+const DatasetExport = require('../models/DatasetExport');
+const { protect, authorize, requireVerifiedEmail, allowApiKey } = require('../middleware/auth');
+const { IMPORT_FORMATS, importDataset, detectImportFormat } = require('../services/datasetImport');
+const { EXPORT_FORMATS, CONTENT_TYPES, createExportStream, buildExportManifest } = require('../services/datasetExport');
+const { DEFAULT_RATIOS, assignSplits } = require('../services/splitAssignment');
+const logger = require('../utils/logger');
+
+const LANGUAGES = Dataset.schema.path('language').enumValues;
+const SPLITS = Dataset.schema.path('split').enumValues;
+const DOMAINS = Dataset.schema.path('metadata.domain').enumValues;
+const METADATA_FIELDS = ['source', 'domain', 'dialect', 'collectedAt', 'generatorModel'];
+const IMPORT_MAX_SIZE = process.env.DATASET_IMPORT_MAX_SIZE || '25mb';
+
+// All routes require researcher or admin role (and a verified email when configured).
+// API keys with the datasets:read scope may use the read-only routes.
+router.use(allowApiKey('datasets:read', { methods: ['GET'] }), protect, authorize('researcher', 'admin'), requireVerifiedEmail);
+
+/**
+ * Build a Dataset query from request filters
+ * @param {Object} filters - Query string values
+ */
+const buildDatasetFilter = ({ language, split, label, domain, source, isVerified }) => {
+  const filter = {};
+
+  if (language) filter.language = language;
+  if (split) filter.split = split;
+  if (label !== undefined) filter.label = parseInt(label);
+  if (domain) filter['metadata.domain'] = domain;
+  if (source) filter['metadata.source'] = source;
+  if (isVerified !== undefined) filter.isVerified = isVerified === 'true';
+
+  return filter;
+};
+
+/**
+ * Keep only the metadata fields clients may set
+ * @param {Object} metadata - Request metadata
+ */
+const pickMetadata = (metadata = {}) => {
+  return METADATA_FIELDS.reduce((picked, key) => {
+    if (metadata[key] !== undefined) {
+      picked[key] = metadata[key];
+    }
+    return picked;
+  }, {});
+};
+
+/**
+ * Read export filters from the query string (comma-separated lists allowed)
+ * @param {Object} queryParams - req.query
+ */
+const parseExportFilters = ({ language, split, verifiedOnly }) => {
+  const toList = (value) => (value ? String(value).split(',').map(v => v.trim()).filter(Boolean) : []);
+
+  return {
+    languages: toList(language),
+    splits: toList(split),
+    verifiedOnly: verifiedOnly === 'true'
+  };
+};
+
+const exportValidators = [
+  query('format').optional().isIn(EXPORT_FORMATS),
+  query('language').optional().custom(value => String(value).split(',').every(v => LANGUAGES.includes(v.trim()))),
+  query('split').optional().custom(value => String(value).split(',').every(v => SPLITS.includes(v.trim()))),
+  query('verifiedOnly').optional().isIn(['true', 'false'])
+];
+
+const filterValidators = [
+  query('language').optional().isIn(LANGUAGES),
+  query('split').optional().isIn(SPLITS),
+  query('label').optional().isIn(['0', '1']),
+  query('domain').optional().isIn(DOMAINS),
+  query('source').optional().isString(),
+  query('isVerified').optional().isIn(['true', 'false'])
+];
+
+const sampleValidators = (optional) => {
+  const field = (chain) => (optional ? chain.optional() : chain);
+
+  return [
+    field(body('text')).isString().trim().isLength({ min: 1, max: 50000 }),
+    field(body('language')).isIn(LANGUAGES),
+    field(body('label')).isInt({ min: 0, max: 1 }).toInt(),
+    field(body('metadata.source')).isString().trim().notEmpty(),
+    body('metadata.domain').optional().isIn(DOMAINS),
+    body('metadata.dialect').optional().isString().trim(),
+    body('metadata.generatorModel').optional().isString().trim(),
+    body('metadata.collectedAt').optional().isISO8601(),
+    body('split').optional().isIn(SPLITS)
+  ];
+};
+
+/**
+ * @route   GET /api/datasets
+ * @desc    List dataset samples with filters and pagination
+ * @access  Private (researcher, admin)
+ */
+router.get('/', filterValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const skip = (page - 1) * limit;
+
+    const filter = buildDatasetFilter(req.query);
+
+    const [samples, total] = await Promise.all([
+      Dataset.find(filter)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-__v'),
+      Dataset.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        samples,
+        pagination: {
+          page,
+          limit,
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Dataset fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dataset samples'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/datasets/export
+ * @desc    Stream an export as JSONL or CSV (columns: text, label, language, split, domain, source).
+ *          The X-Export-Id header names the stored manifest (content hash, row
+ *          counts) of exactly these bytes, available from /exports/:id once the
+ *          download has finished.
+ * @access  Private (researcher, admin)
+ */
+router.get('/export', exportValidators, async (req, res) => {
+  let exportRecord;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const format = req.query.format || 'jsonl';
+    const filters = parseExportFilters(req.query);
+    const fileName = `hata-dataset-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+    exportRecord = await DatasetExport.create({ requestedBy: req.user._id, format, filters });
+
+    res.setHeader('Content-Type', CONTENT_TYPES[format]);
+    res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+    res.setHeader('X-Export-Id', String(exportRecord._id));
+
+    // Stored before the stream ends, so the manifest exists once the download completes
+    const storeManifest = async (manifest) => {
+      await DatasetExport.updateOne({ _id: exportRecord._id }, {
+        $set: {
+          status: 'completed',
+          columns: manifest.columns,
+          total: manifest.total,
+          counts: manifest.counts,
+          contentHash: manifest.contentHash,
+          lastUpdatedAt: manifest.lastUpdatedAt,
+          completedAt: new Date()
+        }
+      });
+      logger.info(`Dataset export ${exportRecord._id} by ${req.user.email}: ${manifest.total} samples, ${manifest.contentHash}`);
+    };
+
+    // pipeline applies backpressure and stops the export (closing the cursor)
+    // if the client goes away
+    await pipeline(createExportStream({ filters, format, onComplete: storeManifest }), res);
+
+  } catch (error) {
+    if (exportRecord) {
+      await DatasetExport.updateOne({ _id: exportRecord._id, status: 'streaming' }, { $set: { status: 'aborted' } })
+        .catch(updateError => logger.error(`Dataset export status error: ${updateError.message}`));
+    }
+
+    if (res.headersSent || res.destroyed) {
+      logger.warn(`Dataset export aborted: ${error.message}`);
+      return;
+    }
+
+    logger.error(`Dataset export error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to export dataset'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/datasets/export/manifest
+ * @desc    Preview per-split and per-language counts and the content hash of an export.
+ *          Computed at request time: verify downloads against /exports/:id instead.
+ * @access  Private (researcher, admin)
+ */
+router.get('/export/manifest', exportValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const manifest = await buildExportManifest({
+      filters: parseExportFilters(req.query),
+      format: req.query.format || 'jsonl'
+    });
+
+    res.json({
+      success: true,
+      data: manifest
+    });
+
+  } catch (error) {
+    logger.error(`Dataset export manifest error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to build export manifest'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/datasets/exports/:id
+ * @desc    Stored manifest of an export (id from its X-Export-Id header)
+ * @access  Private (researcher, admin)
+ */
+router.get('/exports/:id', param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const exportRecord = await DatasetExport.findById(req.params.id)
+      .populate('requestedBy', 'name email');
+
+    if (!exportRecord) {
+      return res.status(404).json({
+        success: false,
+        error: 'Export not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: exportRecord
+    });
+
+  } catch (error) {
+    logger.error(`Get dataset export error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/datasets/:id
+ * @desc    Get a single dataset sample
+ * @access  Private (researcher, admin)
+ */
+router.get('/:id', param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sample = await Dataset.findById(req.params.id)
+      .populate('annotations.annotatorId', 'name email');
+
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset sample not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Dataset sample fetch error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch dataset sample'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/datasets
+ * @desc    Create a dataset sample
+ * @access  Private (researcher, admin)
+ */
+router.post('/', sampleValidators(false), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { text, language, label, metadata, split } = req.body;
+
+    const sample = await Dataset.create({
+      text,
+      language,
+      label,
+      isHumanGenerated: label === 0,
+      metadata: pickMetadata(metadata),
+      split
+    });
+
+    logger.info(`Dataset sample created: ${sample._id} by ${req.user.email}`);
+
+    res.status(201).json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Dataset sample creation error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create dataset sample'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/datasets/import
+ * @desc    Bulk import samples from a JSONL or CSV upload (raw request body)
+ * @access  Private (researcher, admin)
+ */
+router.post('/import', express.text({
+  type: ['text/csv', 'text/plain', 'application/x-ndjson', 'application/jsonl', 'application/x-jsonlines'],
+  limit: IMPORT_MAX_SIZE
+}), [
+  query('format').optional().isIn(IMPORT_FORMATS),
+  query('source').optional().isString().trim().notEmpty(),
+  query('split').optional().isIn(SPLITS),
+  query('dryRun').optional().isIn(['true', 'false'])
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    if (typeof req.body !== 'string' || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        error: 'Upload body is empty - send the file as text/csv or application/x-ndjson'
+      });
+    }
+
+    const format = detectImportFormat({
+      format: req.query.format,
+      contentType: req.get('content-type')
+    });
+
+    if (!IMPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        error: `Could not detect import format - pass ?format=${IMPORT_FORMATS.join('|')}`
+      });
+    }
+
+    const report = await importDataset(req.body, {
+      format,
+      source: req.query.source,
+      split: req.query.split,
+      dryRun: req.query.dryRun === 'true'
+    });
+
+    logger.info(`Dataset import by ${req.user.email}: ${report.inserted} inserted`);
+
+    res.status(report.dryRun ? 200 : 201).json({
+      success: true,
+      data: report
+    });
+
+  } catch (error) {
+    logger.error(`Dataset import error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to import dataset'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/datasets/splits/assign
+ * @desc    Assign stratified train/validation/test splits with a deterministic seed
+ * @access  Private (admin)
+ */
+router.post('/splits/assign', authorize('admin'), [
+  body('ratios').optional().isObject(),
+  body('ratios.*').optional().isFloat({ min: 0, max: 1 }).toFloat(),
+  body('ratios').optional().custom((ratios) => {
+    const unknown = Object.keys(ratios).filter(split => !SPLITS.includes(split));
+    if (unknown.length) {
+      throw new Error(`Unknown splits in ratios: ${unknown.join(', ')}`);
+    }
+    const sum = SPLITS.reduce((total, split) => total + (Number(ratios[split]) || 0), 0);
+    if (Math.abs(sum - 1) > 0.001) {
+      throw new Error('Split ratios must sum to 1');
+    }
+    return true;
+  }),
+  body('seed').optional().isString().trim().notEmpty(),
+  body('reshuffle').optional().isBoolean().toBoolean(),
+  body('dryRun').optional().isBoolean().toBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { ratios, seed, reshuffle, dryRun } = req.body;
+
+    const result = await assignSplits({
+      ratios: ratios ? SPLITS.reduce((acc, split) => ({ ...acc, [split]: Number(ratios[split]) || 0 }), {}) : DEFAULT_RATIOS,
+      seed,
+      reshuffle: Boolean(reshuffle),
+      dryRun: Boolean(dryRun)
+    });
+
+    logger.info(`Dataset splits assigned by ${req.user.email}: ${result.assigned} samples`);
+
+    res.json({
+      success: true,
+      data: result
+    });
+
+  } catch (error) {
+    logger.error(`Split assignment error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to assign dataset splits'
+    });
+  }
+});
+
+/**
+ * @route   PUT /api/datasets/:id
+ * @desc    Update a dataset sample
+ * @access  Private (researcher, admin)
+ */
+router.put('/:id', [param('id').isMongoId(), ...sampleValidators(true)], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sample = await Dataset.findById(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset sample not found'
+      });
+    }
+
+    const { text, language, label, metadata, split } = req.body;
+
+    if (text !== undefined) sample.text = text;
+    if (language !== undefined) sample.language = language;
+    if (split !== undefined) sample.split = split;
+    if (label !== undefined) {
+      sample.label = label;
+      sample.isHumanGenerated = label === 0;
+    }
+    Object.entries(pickMetadata(metadata)).forEach(([key, value]) => {
+      sample.metadata[key] = value;
+    });
+
+    // save() keeps the word and character counts in sync
+    await sample.save();
+
+    logger.info(`Dataset sample updated: ${sample._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Dataset sample update error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update dataset sample'
+    });
+  }
+});
+
+/**
+ * @route   DELETE /api/datasets/:id
+ * @desc    Delete a dataset sample
+ * @access  Private (researcher, admin)
+ */
+router.delete('/:id', param('id').isMongoId(), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sample = await Dataset.findByIdAndDelete(req.params.id);
+
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset sample not found'
+      });
+    }
+
+    logger.info(`Dataset sample deleted: ${sample._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: { id: sample._id }
+    });
+
+  } catch (error) {
+    logger.error(`Dataset sample deletion error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete dataset sample'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/datasets/:id/verify
+ * @route   POST /api/datasets/:id/unverify
+ * @desc    Mark a dataset sample as verified or unverified
+ * @access  Private (researcher, admin)
+ */
+const setVerified = (isVerified) => async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const sample = await Dataset.findByIdAndUpdate(
+      req.params.id,
+      { isVerified },
+      { new: true }
+    );
+
+    if (!sample) {
+      return res.status(404).json({
+        success: false,
+        error: 'Dataset sample not found'
+      });
+    }
+
+    logger.info(`Dataset sample ${isVerified ? 'verified' : 'unverified'}: ${sample._id} by ${req.user.email}`);
+
+    res.json({
+      success: true,
+      data: sample
+    });
+
+  } catch (error) {
+    logger.error(`Dataset verification error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update verification status'
+    });
+  }
+};
+
+router.post('/:id/verify', param('id').isMongoId(), setVerified(true));
+router.post('/:id/unverify', param('id').isMongoId(), setVerified(false));
+
+module.exports = router;
@@ -5,22 +5,39 @@
 
 const express = require('express');
 const router = express.Router();
-const axios = require('axios');
 const { body, validationResult } = require('express-validator');
 const Prediction = require('../models/Prediction');
-const { optionalAuth, protect } = require('../middleware/auth');
+const PredictionJob = require('../models/PredictionJob');
+const { optionalAuth, protect, allowApiKey } = require('../middleware/auth');
+const {
+  getLanguageName,
+  createPrediction,
+  describeMlError,
+  logMlError
+} = require('../services/predictionService');
+const { enqueueJob } = require('../services/jobWorker');
+const { selectModel } = require('../services/modelRegistry');
+const { dispatchShadowPredictions } = require('../services/shadowEvaluation');
+const { getScaling, calibratePrediction } = require('../services/calibration');
+const { mapWithConcurrency } = require('../utils/concurrency');
 const logger = require('../utils/logger');
 
-const ML_SERVICE_URL = (process.env.ML_SERVICE_URL || 'http://localhost:5000').trim();
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 500;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 4;
+const JOB_MAX_ITEMS = parseInt(process.env.JOB_MAX_ITEMS) || 2000;
+
+// API keys with the predict scope may call the prediction endpoints
+const predictKey = allowApiKey('predict');
 
 /**
  * @route   POST /api/predictions/predict
  * @desc    Make a prediction
  * @access  Public (optionally authenticated)
  */
-router.post('/predict', optionalAuth, [
+router.post('/predict', predictKey, optionalAuth, [
   body('text').trim().isLength({ min: 1, max: 50000 }),  // Allow up to 50,000 characters (~10,000 words)
-  body('language').isIn(['ha', 'yo', 'ig', 'pcm'])
+  body('language').isIn(['ha', 'yo', 'ig', 'pcm']),
+  body('modelVersion').optional().isString().trim().notEmpty()
 ], async (req, res) => {
   try {
     // Validate input
@@ -32,110 +49,275 @@ router.post('/predict', optionalAuth, [
       });
     }
 
-    const { text, language } = req.body;
-    const startTime = Date.now();
+    const { text, language, modelVersion: requestedVersion } = req.body;
 
     logger.info(`Calling ML Service for: ${language}`);
-    logger.info(`ML Service URL: ${ML_SERVICE_URL}`);
     logger.info(`Text length: ${text.length}`);
 
-    // Call ML Service instead of HF API directly
-    const mlResponse = await axios.post(
-      `${ML_SERVICE_URL}/predict`,
-      { text, language },
-      {
-        timeout: 60000 // 60s timeout — allows for Lambda cold starts
-      }
-    );
-
-    // ML Service returns: { prediction, explanation, biasScore, language_name, processing_time }
-    const mlResult = mlResponse.data;
-    const confidence = mlResult.prediction?.confidence || 0;
-    const predictedClass = mlResult.prediction?.label || 0;
-
-    const processingTime = Date.now() - startTime;
-
-    // Use ML service results for explanation and bias score
-    const explanation = mlResult.explanation || {
-      tokens: text.split(/\s+/).slice(0, 50),
-      importances: [],
-      method: "ml-service",
-      status: "success"
-    };
-
-    const biasScore = mlResult.biasScore || {
-      gender: 0,
-      ethnic: 0,
-      religious: 0,
-      overall: 0
-    };
-
-    // Save prediction to MongoDB
-    const prediction = new Prediction({
+    const { prediction, mlResult, processingTime, cached, modelVersion } = await createPrediction({
       text,
       language,
-      prediction: {
-        label: predictedClass,
-        label_text: predictedClass === 1 ? "AI-generated" : "Human-written",
-        confidence: confidence,
-        probabilities: mlResult.prediction?.probabilities || [
-          predictedClass === 0 ? confidence : 1 - confidence,
-          predictedClass === 1 ? confidence : 1 - confidence
-        ]
-      },
-      explanation,
-      biasScore,
       userId: req.user?._id,
       metadata: {
         ipAddress: req.ip,
         userAgent: req.get('user-agent'),
-        processingTime,
-        source: "ml-service"
-      }
+        apiKeyId: req.apiKey?._id
+      },
+      useCache: req.body.noCache !== true,
+      modelVersion: requestedVersion
     });
 
-    await prediction.save();
+    logger.info(`Prediction saved (${cached ? 'cache' : 'ML Service'}, ${modelVersion}): ${prediction._id}`);
+
+    // Candidate models score the same request in the background
+    dispatchShadowPredictions(prediction);
 
-    logger.info(`Prediction saved (ML Service): ${prediction._id}`);
+    // Stored predictions keep the raw confidence; only the response is calibrated
+    const scaling = await getScaling(modelVersion);
 
+    res.set('X-Cache', cached ? 'HIT' : 'MISS');
     res.json({
       success: true,
       data: {
         predictionId: prediction._id,
-        prediction: prediction.prediction,
+        prediction: calibratePrediction(prediction.prediction, scaling),
         explanation: prediction.explanation,
         biasScore: prediction.biasScore,
         language: language,
-        language_name: mlResult.language_name || (language === 'ha' ? 'Hausa' : language === 'yo' ? 'Yoruba' : language === 'ig' ? 'Igbo' : 'Pidgin'),
-        processing_time: processingTime / 1000
+        language_name: mlResult.language_name || getLanguageName(language),
+        processing_time: processingTime / 1000,
+        modelVersion,
+        cached
+      }
+    });
+
+  } catch (error) {
+    logMlError(error);
+
+    const { status, ...payload } = describeMlError(error);
+    if (payload.retryAfter) {
+      res.set('Retry-After', String(payload.retryAfter));
+    }
+    res.status(status).json({
+      success: false,
+      ...payload
+    });
+  }
+});
+
+/**
+ * @route   POST /api/predictions/batch
+ * @desc    Make predictions for many texts in one request
+ * @access  Public (optionally authenticated)
+ */
+router.post('/batch', predictKey, optionalAuth, [
+  body('items').isArray({ min: 1, max: BATCH_MAX_ITEMS })
+    .withMessage(`items must be an array of 1 to ${BATCH_MAX_ITEMS} entries`),
+  body('items.*.text').isString().trim().isLength({ min: 1, max: 50000 }),
+  body('items.*.language').isIn(['ha', 'yo', 'ig', 'pcm']),
+  body('items.*.ref').optional().isString().isLength({ max: 200 }),
+  body('items.*.modelVersion').optional().isString().trim().notEmpty()
+], async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { items } = req.body;
+    const startTime = Date.now();
+
+    logger.info(`Batch prediction started: ${items.length} items`);
+
+    // One failing item must not fail the whole batch
+    const results = await mapWithConcurrency(items, BATCH_CONCURRENCY, async (item, index) => {
+      try {
+        const { prediction, processingTime, cached, modelVersion } = await createPrediction({
+          text: item.text,
+          language: item.language,
+          userId: req.user?._id,
+          metadata: {
+            ipAddress: req.ip,
+            userAgent: req.get('user-agent'),
+            apiKeyId: req.apiKey?._id
+          },
+          modelVersion: item.modelVersion
+        });
+
+        const scaling = await getScaling(modelVersion);
+
+        return {
+          index,
+          ref: item.ref,
+          success: true,
+          predictionId: prediction._id,
+          prediction: calibratePrediction(prediction.prediction, scaling),
+          biasScore: prediction.biasScore,
+          language: item.language,
+          processing_time: processingTime / 1000,
+          modelVersion,
+          cached
+        };
+      } catch (error) {
+        logMlError(error);
+
+        const { status, ...payload } = describeMlError(error);
+        return {
+          index,
+          ref: item.ref,
+          success: false,
+          status,
+          ...payload
+        };
+      }
+    });
+
+    const succeeded = results.filter(result => result.success).length;
+
+    logger.info(`Batch prediction finished: ${succeeded}/${items.length} succeeded`);
+
+    res.json({
+      success: true,
+      data: {
+        results,
+        summary: {
+          total: items.length,
+          succeeded,
+          failed: items.length - succeeded
+        },
+        processing_time: (Date.now() - startTime) / 1000
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Batch prediction error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Batch prediction failed'
+    });
+  }
+});
+
+/**
+ * @route   POST /api/predictions/jobs
+ * @desc    Queue an asynchronous prediction job for one text or many items
+ * @access  Public (optionally authenticated)
+ */
+router.post('/jobs', predictKey, optionalAuth, [
+  body('items').optional().isArray({ min: 1, max: JOB_MAX_ITEMS })
+    .withMessage(`items must be an array of 1 to ${JOB_MAX_ITEMS} entries`),
+  body('items.*.text').isString().trim().isLength({ min: 1, max: 50000 }),
+  body('items.*.language').isIn(['ha', 'yo', 'ig', 'pcm']),
+  body('items.*.ref').optional().isString().isLength({ max: 200 }),
+  body('items.*.modelVersion').optional().isString().trim().notEmpty(),
+  body('modelVersion').optional().isString().trim().notEmpty(),
+  body('text').if(body('items').not().exists()).trim().isLength({ min: 1, max: 50000 }),
+  body('language').if(body('items').not().exists()).isIn(['ha', 'yo', 'ig', 'pcm'])
+], async (req, res) => {
+  try {
+    // Validate input
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        errors: errors.array()
+      });
+    }
+
+    const { text, language, ref, modelVersion } = req.body;
+    const items = req.body.items || [{ text, language, ref, modelVersion }];
+
+    // Check requested versions now, with the same rules as /predict, rather
+    // than letting every item fail later in the worker
+    for (const [index, item] of items.entries()) {
+      if (!item.modelVersion) continue;
+      try {
+        selectModel(item.language, item.modelVersion);
+      } catch (error) {
+        if (error.code !== 'MODEL_NOT_AVAILABLE') throw error;
+        return res.status(400).json({
+          success: false,
+          error: req.body.items ? `items[${index}]: ${error.message}` : error.message
+        });
+      }
+    }
+
+    const job = await PredictionJob.create({
+      userId: req.user?._id,
+      items: items.map(item => ({
+        text: item.text,
+        language: item.language,
+        ref: item.ref,
+        modelVersion: item.modelVersion
+      })),
+      metadata: {
+        ipAddress: req.ip,
+        userAgent: req.get('user-agent'),
+        apiKeyId: req.apiKey?._id
+      }
+    });
+
+    enqueueJob(job._id);
+
+    logger.info(`Prediction job queued: ${job._id} (${items.length} items)`);
+
+    res.status(202).json({
+      success: true,
+      data: {
+        jobId: job._id,
+        status: job.status,
+        progress: job.progress
       }
     });
 
   } catch (error) {
-    logger.error(`Prediction error: ${error.message}`);
-    logger.error(`Error code: ${error.code}`);
-    logger.error(`Error status: ${error.response?.status}`);
-    logger.error(`Error data: ${JSON.stringify(error.response?.data)}`);
-    logger.error(`ML Service URL: ${ML_SERVICE_URL}`);
-
-    if (error.code === 'ECONNREFUSED') {
-      return res.status(503).json({
+    logger.error(`Prediction job creation error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to queue prediction job'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/predictions/jobs/:id
+ * @desc    Get status, progress and results of a prediction job
+ * @access  Public (optionally authenticated)
+ */
+router.get('/jobs/:id', predictKey, optionalAuth, async (req, res) => {
+  try {
+    const job = await PredictionJob.findById(req.params.id)
+      .populate('items.predictionId', 'prediction biasScore language');
+
+    if (!job) {
+      return res.status(404).json({
         success: false,
-        error: 'ML service is unavailable - connection refused'
+        error: 'Prediction job not found'
       });
     }
 
-    if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
-      return res.status(504).json({
+    // Check if user has access (if job has userId)
+    if (job.userId && (!req.user || job.userId.toString() !== req.user._id.toString())) {
+      return res.status(403).json({
         success: false,
-        error: 'ML service timeout - request took too long'
+        error: 'Access denied'
       });
     }
 
+    res.json({
+      success: true,
+      data: job.toStatusJSON()
+    });
+
+  } catch (error) {
+    logger.error(`Prediction job fetch error: ${error.message}`);
     res.status(500).json({
       success: false,
-      error: 'Prediction failed',
-      details: error.message
+      error: 'Failed to fetch prediction job'
     });
   }
 });
@@ -145,7 +327,7 @@ router.post('/predict', optionalAuth, [
  * @desc    Get user's prediction history
  * @access  Private
  */
-router.get('/history', protect, async (req, res) => {
+router.get('/history', predictKey, protect, async (req, res) => {
   try {
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 20;
@@ -186,7 +368,7 @@ router.get('/history', protect, async (req, res) => {
  * @desc    Get a specific prediction
  * @access  Public (optionally authenticated)
  */
-router.get('/:id', optionalAuth, async (req, res) => {
+router.get('/:id', predictKey, optionalAuth, async (req, res) => {
   try {
     const prediction = await Prediction.findById(req.params.id);
 
@@ -0,0 +1,40 @@
+/**
+ * Quota Routes
+ * Lets callers see what is left of their rate limits and character quota
+ */
+
+const express = require('express');
+const router = express.Router();
+const { QUOTA_BUDGETS, getQuotaStatus } = require('../services/quota');
+const logger = require('../utils/logger');
+
+/**
+ * @route   GET /api/quota
+ * @desc    Remaining predict/read requests and daily characters for the caller
+ *          (its user, including API keys it owns, or its IP)
+ * @access  Public (optionally authenticated, any API key)
+ */
+router.get('/', async (req, res) => {
+  try {
+    const client = req.quotaClient;
+    const status = await getQuotaStatus(client);
+
+    res.json({
+      success: true,
+      data: {
+        keyedBy: client.type,
+        role: client.role,
+        budgets: QUOTA_BUDGETS[client.role],
+        ...status
+      }
+    });
+  } catch (error) {
+    logger.error(`Get quota error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Server error'
+    });
+  }
+});
+
+module.exports = router;
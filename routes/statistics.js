@@ -8,8 +8,14 @@ const router = express.Router();
 const Prediction = require('../models/Prediction');
 const Feedback = require('../models/Feedback');
 const User = require('../models/User');
+const { optionalAuth, allowApiKey } = require('../middleware/auth');
+const { DEFAULT_WINDOWS, parseWindow, computeLiveMetrics } = require('../services/liveMetrics');
+const { INTERVALS, MAX_BUCKETS, resolveRange, buildTimeSeries } = require('../services/timeSeries');
 const logger = require('../utils/logger');
 
+// Public, but requests with an API key (statistics scope) are attributed to it
+router.use(allowApiKey('statistics'), optionalAuth);
+
 /**
  * @route   GET /api/statistics/overview
  * @desc    Get system overview statistics
@@ -94,6 +100,69 @@ router.get('/predictions', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/statistics/timeseries
+ * @desc    Prediction counts, confidence, label ratio and bias bucketed by hour, day or week
+ * @access  Public
+ */
+router.get('/timeseries', async (req, res) => {
+  try {
+    const interval = req.query.interval || 'day';
+    const from = req.query.from ? new Date(req.query.from) : undefined;
+    const to = req.query.to ? new Date(req.query.to) : undefined;
+
+    if (!INTERVALS.includes(interval)) {
+      return res.status(400).json({
+        success: false,
+        error: `interval must be one of: ${INTERVALS.join(', ')}`
+      });
+    }
+
+    if ([from, to].some(date => date && Number.isNaN(date.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be valid dates'
+      });
+    }
+
+    if (req.query.auth && !['authenticated', 'anonymous'].includes(req.query.auth)) {
+      return res.status(400).json({
+        success: false,
+        error: 'auth must be authenticated or anonymous'
+      });
+    }
+
+    const { bucketCount } = resolveRange({ interval, from, to });
+    if (bucketCount < 1 || bucketCount > MAX_BUCKETS) {
+      return res.status(400).json({
+        success: false,
+        error: `Date range must cover between 1 and ${MAX_BUCKETS} ${interval} buckets`
+      });
+    }
+
+    const timeSeries = await buildTimeSeries({
+      interval,
+      from,
+      to,
+      language: ['ha', 'yo', 'ig', 'pcm'].includes(req.query.language) ? req.query.language : undefined,
+      modelVersion: typeof req.query.modelVersion === 'string' ? req.query.modelVersion : undefined,
+      auth: req.query.auth
+    });
+
+    res.json({
+      success: true,
+      data: timeSeries
+    });
+
+  } catch (error) {
+    logger.error(`Time series statistics error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch time series statistics'
+    });
+  }
+});
+
 /**
  * @route   GET /api/statistics/bias
  * @desc    Get bias statistics
@@ -128,6 +197,91 @@ router.get('/bias', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/statistics/models
+ * @desc    Compare prediction statistics per model version and language
+ * @access  Public
+ */
+router.get('/models', async (req, res) => {
+  try {
+    const match = {};
+    if (['ha', 'yo', 'ig', 'pcm'].includes(req.query.language)) match.language = req.query.language;
+
+    const modelStats = await Prediction.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: {
+            modelVersion: { $ifNull: ['$metadata.modelVersion', 'v1.0'] },
+            language: '$language'
+          },
+          count: { $sum: 1 },
+          aiGeneratedRatio: { $avg: '$prediction.label' },
+          avgConfidence: { $avg: '$prediction.confidence' },
+          avgProcessingTime: { $avg: '$metadata.processingTime' },
+          feedbackCount: {
+            $sum: { $cond: [{ $in: ['$feedback.correctLabel', [0, 1]] }, 1, 0] }
+          },
+          feedbackCorrect: {
+            $sum: { $cond: [{ $eq: ['$feedback.correctLabel', '$prediction.label'] }, 1, 0] }
+          }
+        }
+      },
+      {
+        $sort: { '_id.language': 1, '_id.modelVersion': 1 }
+      }
+    ]);
+
+    res.json({
+      success: true,
+      data: modelStats
+    });
+
+  } catch (error) {
+    logger.error(`Model statistics error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch model statistics'
+    });
+  }
+});
+
+/**
+ * @route   GET /api/statistics/live
+ * @desc    Rolling accuracy, precision and recall from feedback labels per model version and language
+ * @access  Public
+ */
+router.get('/live', async (req, res) => {
+  try {
+    const windows = req.query.windows ? String(req.query.windows).split(',') : DEFAULT_WINDOWS;
+
+    if (windows.length > 5 || windows.some(window => parseWindow(window) === null)) {
+      return res.status(400).json({
+        success: false,
+        error: 'windows must be up to 5 comma-separated durations such as 24h, 7d or 4w'
+      });
+    }
+
+    const liveMetrics = await computeLiveMetrics({
+      windows,
+      language: ['ha', 'yo', 'ig', 'pcm'].includes(req.query.language) ? req.query.language : undefined,
+      modelVersion: typeof req.query.modelVersion === 'string' ? req.query.modelVersion : undefined
+    });
+
+    res.json({
+      success: true,
+      data: liveMetrics
+    });
+
+  } catch (error) {
+    logger.error(`Live metrics error: ${error.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch live metrics'
+    });
+  }
+});
+
 /**
  * @route   GET /api/statistics/recent
  * @desc    Get recent activity
@@ -0,0 +1,73 @@
+/**
+ * Offline Evaluation CLI
+ * Usage: node scripts/evaluate.js --model <version> [--split test] [--language ha,yo] [--verified-only]
+ * Re-running the same model and split resumes an interrupted run.
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const { startEvaluation, runEvaluation } = require('../services/evaluationRunner');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+  const args = { split: 'test', languages: [], verifiedOnly: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--model') {
+      args.modelVersion = argv[++i];
+    } else if (arg === '--split') {
+      args.split = argv[++i];
+    } else if (arg === '--language') {
+      args.languages = String(argv[++i]).split(',').map(language => language.trim()).filter(Boolean);
+    } else if (arg === '--verified-only') {
+      args.verifiedOnly = true;
+    }
+  }
+
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.modelVersion) {
+    console.error('Usage: node scripts/evaluate.js --model <version> [--split test] [--language ha,yo] [--verified-only]');
+    process.exit(1);
+  }
+
+  await connectDB();
+
+  const run = await startEvaluation(args);
+  console.log(`Evaluation run ${run._id} (${run.modelVersion}, ${run.split}) - ${run.status === 'queued' ? 'starting' : 'resuming'}`);
+
+  const finished = await runEvaluation(run._id);
+  await finished.populate('performanceIds');
+
+  console.log(JSON.stringify({
+    runId: finished._id,
+    status: finished.status,
+    progress: finished.progress,
+    lastError: finished.lastError,
+    performance: finished.performanceIds.map(performance => ({
+      language: performance.language,
+      sampleSize: performance.sampleSize,
+      metrics: performance.metrics,
+      confusionMatrix: performance.confusionMatrix
+    }))
+  }, null, 2));
+
+  await mongoose.connection.close();
+  process.exit(finished.status === 'completed' ? 0 : 2);
+};
+
+main().catch(async (error) => {
+  console.error(`Evaluation failed: ${error.message}`);
+  await mongoose.connection.close();
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+/**
+ * Dataset Import CLI
+ * Usage: node scripts/importDataset.js <file> [--format jsonl|csv] [--source <name>]
+ *        [--split train|validation|test] [--dry-run]
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+const connectDB = require('../config/database');
+const { IMPORT_FORMATS, importDataset, detectImportFormat } = require('../services/datasetImport');
+
+/**
+ * Parse command line arguments
+ */
+const parseArgs = (argv) => {
+  const args = { dryRun: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+
+    if (arg === '--dry-run') {
+      args.dryRun = true;
+    } else if (arg === '--format' || arg === '--source' || arg === '--split') {
+      args[arg.slice(2)] = argv[++i];
+    } else if (!args.file) {
+      args.file = arg;
+    }
+  }
+
+  return args;
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.error('Usage: node scripts/importDataset.js <file> [--format jsonl|csv] [--source <name>] [--split <split>] [--dry-run]');
+    process.exit(1);
+  }
+
+  const format = detectImportFormat({ format: args.format, fileName: args.file.toLowerCase() });
+  if (!IMPORT_FORMATS.includes(format)) {
+    console.error(`Could not detect import format - pass --format ${IMPORT_FORMATS.join('|')}`);
+    process.exit(1);
+  }
+
+  const content = fs.readFileSync(path.resolve(args.file), 'utf8');
+
+  await connectDB();
+
+  const report = await importDataset(content, {
+    format,
+    source: args.source,
+    split: args.split,
+    dryRun: args.dryRun
+  });
+
+  console.log(JSON.stringify(report, null, 2));
+
+  await mongoose.connection.close();
+  process.exit(report.rejected > 0 ? 2 : 0);
+};
+
+main().catch(async (error) => {
+  console.error(`Dataset import failed: ${error.message}`);
+  await mongoose.connection.close();
+  process.exit(1);
+});
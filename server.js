@@ -9,18 +9,27 @@ const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
 const compression = require('compression');
-const rateLimit = require('express-rate-limit');
 
 const connectDB = require('./config/database');
 const { connectRedis } = require('./config/redis');
 const logger = require('./utils/logger');
 const errorHandler = require('./middleware/errorHandler');
+const { apiRateLimit } = require('./middleware/rateLimit');
+const { startJobWorker } = require('./services/jobWorker');
+const { getMlServiceStats } = require('./services/predictionService');
+const { resumeEvaluations } = require('./services/evaluationRunner');
+const { startDriftMonitor } = require('./services/driftMonitor');
 
 // Initialize Express app
 const app = express();
 
-// Connect to MongoDB
-connectDB();
+// Connect to MongoDB, then resume any unfinished prediction jobs and evaluations
+// and start the scheduled drift check
+connectDB().then(() => {
+  startJobWorker();
+  resumeEvaluations();
+  startDriftMonitor();
+});
 
 // Connect to Redis (optional - won't crash if unavailable)
 if (process.env.ENABLE_REDIS === 'true') {
@@ -61,7 +70,9 @@ app.use(cors({
   },
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-API-Key'],
+  // Lets browser clients fetch the manifest of a dataset export
+  exposedHeaders: ['X-Export-Id']
 }));
 
 // Body parser middleware
@@ -82,15 +93,8 @@ if (process.env.NODE_ENV === 'development') {
   }));
 }
 
-// Rate limiting
-const limiter = rateLimit({
-  windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
-  max: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100,
-  message: 'Too many requests from this IP, please try again later.',
-  standardHeaders: true,
-  legacyHeaders: false,
-});
-app.use('/api/', limiter);
+// Rate limiting - per API key / user / IP budgets by role (see services/quota.js)
+app.use('/api/', apiRateLimit);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -98,16 +102,21 @@ app.get('/health', (req, res) => {
     success: true,
     message: 'HATA Backend is running',
     timestamp: new Date().toISOString(),
-    environment: process.env.NODE_ENV
+    environment: process.env.NODE_ENV,
+    mlService: getMlServiceStats()
   });
 });
 
 // API Routes
 app.use('/api/auth', require('./routes/auth'));
+app.use('/api/keys', require('./routes/apiKeys'));
+app.use('/api/quota', require('./routes/quota'));
 app.use('/api/predictions', require('./routes/predictions'));
 app.use('/api/feedback', require('./routes/feedback'));
 app.use('/api/statistics', require('./routes/statistics'));
 app.use('/api/admin', require('./routes/admin'));
+app.use('/api/datasets', require('./routes/datasets'));
+app.use('/api/annotations', require('./routes/annotations'));
 
 // 404 handler
 app.use((req, res) => {
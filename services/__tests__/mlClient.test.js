@@ -0,0 +1,98 @@
+jest.mock('axios', () => ({ post: jest.fn() }));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const axios = require('axios');
+const { createMlClient } = require('../mlClient');
+
+// Defaults: the circuit opens after 5 consecutive failures and allows a trial after 30s
+const FAILURE_THRESHOLD = 5;
+const RESET_MS = 30000;
+
+const connectionRefused = () => Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' });
+const httpError = status => Object.assign(new Error(`Request failed with status code ${status}`), { response: { status } });
+
+describe('ML client circuit breaker', () => {
+  let now;
+  let client;
+
+  const failTimes = async (count, error = connectionRefused()) => {
+    for (let i = 0; i < count; i++) {
+      axios.post.mockRejectedValueOnce(error);
+      await expect(client.post('/predict', {})).rejects.toBe(error);
+    }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    client = createMlClient({ name: 'test', baseUrl: 'http://ml', retries: 0 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('opens after consecutive service failures and fails fast', async () => {
+    await failTimes(FAILURE_THRESHOLD - 1);
+    expect(client.getStats().state).toBe('closed');
+
+    await failTimes(1);
+    expect(client.getStats().state).toBe('open');
+
+    now += 10000;
+    await expect(client.post('/predict', {})).rejects.toMatchObject({ code: 'ML_CIRCUIT_OPEN', retryAfter: 20 });
+    expect(axios.post).toHaveBeenCalledTimes(FAILURE_THRESHOLD);
+  });
+
+  it('goes open -> half_open -> closed when the trial call succeeds', async () => {
+    await failTimes(FAILURE_THRESHOLD);
+    now += RESET_MS;
+
+    let resolveTrial;
+    axios.post.mockReturnValueOnce(new Promise((resolve) => { resolveTrial = resolve; }));
+    const trial = client.post('/predict', {});
+
+    // Only one trial at a time while half-open
+    expect(client.getStats().state).toBe('half_open');
+    await expect(client.post('/predict', {})).rejects.toMatchObject({ code: 'ML_CIRCUIT_OPEN', retryAfter: 1 });
+
+    resolveTrial({ data: { ok: true } });
+    await expect(trial).resolves.toEqual({ ok: true });
+
+    const stats = client.getStats();
+    expect(stats.state).toBe('closed');
+    expect(stats.consecutiveFailures).toBe(0);
+    expect(stats.totalSuccesses).toBe(1);
+  });
+
+  it('reopens when the trial call fails', async () => {
+    await failTimes(FAILURE_THRESHOLD);
+    now += RESET_MS;
+
+    await failTimes(1);
+
+    expect(client.getStats()).toMatchObject({ state: 'open', retryAfterSeconds: 30 });
+    await expect(client.post('/predict', {})).rejects.toMatchObject({ code: 'ML_CIRCUIT_OPEN' });
+  });
+
+  it('does not count client errors against the service', async () => {
+    await failTimes(FAILURE_THRESHOLD + 1, httpError(422));
+
+    expect(client.getStats()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  it('counts a call that fails after its retries as one failure', async () => {
+    jest.spyOn(Math, 'random').mockReturnValue(0); // no backoff delay
+    client = createMlClient({ name: 'test', baseUrl: 'http://ml', retries: 2 });
+    axios.post
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(503))
+      .mockRejectedValueOnce(httpError(503));
+
+    await expect(client.post('/predict', {})).rejects.toMatchObject({ response: { status: 503 } });
+
+    expect(axios.post).toHaveBeenCalledTimes(3);
+    expect(client.getStats().consecutiveFailures).toBe(1);
+  });
+});
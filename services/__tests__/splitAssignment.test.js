@@ -0,0 +1,119 @@
+jest.mock('../../models/Dataset', () => ({
+  find: jest.fn(),
+  bulkWrite: jest.fn()
+}));
+jest.mock('../../utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const Dataset = require('../../models/Dataset');
+const { assignSplits } = require('../splitAssignment');
+
+const stratum = (count, { language = 'ha', label = 0, domain = 'news', prefix = `${language}${label}${domain}` } = {}) => {
+  return Array.from({ length: count }, (_, i) => ({
+    _id: `${prefix}-${i}`,
+    language,
+    label,
+    metadata: { domain },
+    split: 'train'
+  }));
+};
+
+const useSamples = (samples) => {
+  Dataset.find.mockReturnValue({ select: () => ({ lean: async () => samples }) });
+};
+
+// Final split of each sample id across every bulkWrite call
+const writtenSplits = () => Object.fromEntries(
+  Dataset.bulkWrite.mock.calls.flatMap(([operations]) => operations.map(({ updateOne }) => [
+    updateOne.filter._id,
+    updateOne.update.$set.split
+  ]))
+);
+
+const countBy = splits => Object.values(splits).reduce((counts, split) => {
+  counts[split] = (counts[split] || 0) + 1;
+  return counts;
+}, {});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('assignSplits', () => {
+  it('apportions every stratum to the requested ratios', async () => {
+    useSamples([...stratum(10), ...stratum(20, { language: 'yo', label: 1 })]);
+
+    const result = await assignSplits();
+
+    expect(result.assigned).toBe(30);
+    expect(result.distribution.byStratum).toEqual([
+      { language: 'ha', label: 0, domain: 'news', total: 10, train: 8, validation: 1, test: 1 },
+      { language: 'yo', label: 1, domain: 'news', total: 20, train: 16, validation: 2, test: 2 }
+    ]);
+    expect(result.distribution.byLanguage.yo).toEqual({ train: 16, validation: 2, test: 2, total: 20 });
+  });
+
+  it('gives leftover samples to the evaluation splits first', async () => {
+    // 5 * (0.8, 0.1, 0.1) = 4 + 0.5 + 0.5: the remaining sample goes to test
+    useSamples(stratum(5));
+
+    const { distribution } = await assignSplits();
+
+    expect(distribution.byStratum[0]).toMatchObject({ train: 4, validation: 0, test: 1 });
+  });
+
+  it('is deterministic for a seed', async () => {
+    useSamples(stratum(50));
+
+    await assignSplits({ seed: 'a' });
+    const first = writtenSplits();
+    Dataset.bulkWrite.mockClear();
+    await assignSplits({ seed: 'a' });
+    const second = writtenSplits();
+    Dataset.bulkWrite.mockClear();
+    await assignSplits({ seed: 'b' });
+    const other = writtenSplits();
+
+    expect(second).toEqual(first);
+    expect(countBy(other)).toEqual(countBy(first));
+    expect(other).not.toEqual(first);
+  });
+
+  it('keeps assigned samples and only fills what each split is short of', async () => {
+    const samples = stratum(10);
+    samples[0].split = 'test'; // hand-set before splitAssignedAt existed
+    samples[1].split = 'train';
+    samples[1].splitAssignedAt = new Date();
+    useSamples(samples);
+
+    const result = await assignSplits();
+    const splits = writtenSplits();
+
+    expect(result.kept).toBe(2);
+    expect(result.assigned).toBe(8);
+    expect(result.distribution.byStratum[0]).toMatchObject({ train: 8, validation: 1, test: 1 });
+    // The legacy test sample keeps its split and gets stamped; the stamped one is left alone
+    expect(splits[samples[0]._id]).toBe('test');
+    expect(splits).not.toHaveProperty(samples[1]._id);
+    expect(countBy(splits)).toEqual({ train: 7, validation: 1, test: 1 });
+  });
+
+  it('reassigns everything when reshuffling', async () => {
+    const samples = stratum(10);
+    samples.forEach((sample) => { sample.split = 'test'; sample.splitAssignedAt = new Date(); });
+    useSamples(samples);
+
+    const result = await assignSplits({ reshuffle: true });
+
+    expect(result.kept).toBe(0);
+    expect(result.distribution.byStratum[0]).toMatchObject({ train: 8, validation: 1, test: 1 });
+  });
+
+  it('writes nothing on a dry run', async () => {
+    useSamples(stratum(10));
+
+    const result = await assignSplits({ dryRun: true });
+
+    expect(result.assigned).toBe(10);
+    expect(Dataset.bulkWrite).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Annotation Agreement Service
+ * Builds agreement reports and conflict lists from Dataset annotations
+ */
+
+const Dataset = require('../models/Dataset');
+const {
+  pairwiseCohensKappa,
+  fleissKappa,
+  krippendorffAlpha
+} = require('../utils/agreement');
+
+// A bias flag only counts as a rating when the annotator actually judged it
+const biasFlag = flag => (annotation) => {
+  const value = annotation.biasFlags?.[flag];
+  return typeof value === 'boolean' ? value : undefined;
+};
+
+// Categorical fields scored with kappa, read from one annotation
+const CATEGORICAL_FIELDS = {
+  sentiment: annotation => annotation.sentiment,
+  hasGenderBias: biasFlag('hasGenderBias'),
+  hasEthnicBias: biasFlag('hasEthnicBias'),
+  hasReligiousBias: biasFlag('hasReligiousBias')
+};
+
+// Quality ratings further apart than this count as a conflict
+const QUALITY_CONFLICT_SPREAD = parseInt(process.env.QUALITY_CONFLICT_SPREAD) || 2;
+
+/**
+ * Ratings for one field on one sample, keyed by annotator
+ */
+const collectRatings = (sample, read) => {
+  return sample.annotations.reduce((ratings, annotation) => {
+    const value = read(annotation);
+    if (value !== undefined && value !== null && annotation.annotatorId) {
+      ratings[annotation.annotatorId.toString()] = value;
+    }
+    return ratings;
+  }, {});
+};
+
+/**
+ * Compute agreement for every field over a group of samples
+ */
+const scoreGroup = (samples) => {
+  const fields = {};
+
+  Object.entries(CATEGORICAL_FIELDS).forEach(([field, read]) => {
+    const items = samples
+      .map(sample => collectRatings(sample, read))
+      .filter(ratings => Object.keys(ratings).length >= 2);
+    const { kappa, pairs } = pairwiseCohensKappa(items);
+
+    fields[field] = {
+      items: items.length,
+      cohensKappa: kappa,
+      annotatorPairs: pairs,
+      fleissKappa: fleissKappa(items.map(ratings => Object.values(ratings)))
+    };
+  });
+
+  const qualityUnits = samples
+    .map(sample => Object.values(collectRatings(sample, annotation => annotation.quality)))
+    .filter(values => values.length >= 2);
+
+  fields.quality = {
+    items: qualityUnits.length,
+    krippendorffAlpha: krippendorffAlpha(qualityUnits)
+  };
+
+  return { samples: samples.length, fields };
+};
+
+/**
+ * Load samples that have at least two annotations
+ */
+const findMultiAnnotated = (match = {}) => {
+  return Dataset.find({ ...match, 'annotations.1': { $exists: true } })
+    .select('text language metadata.dialect annotations adjudication isVerified')
+    .lean();
+};
+
+/**
+ * Agreement report per language and for all languages
+ * @param {Object} match - Extra Dataset filter
+ */
+const buildAgreementReport = async (match = {}) => {
+  const samples = await findMultiAnnotated(match);
+
+  const byLanguage = {};
+  samples.forEach((sample) => {
+    (byLanguage[sample.language] = byLanguage[sample.language] || []).push(sample);
+  });
+
+  return {
+    all: scoreGroup(samples),
+    byLanguage: Object.keys(byLanguage).sort().reduce((report, language) => {
+      report[language] = scoreGroup(byLanguage[language]);
+      return report;
+    }, {})
+  };
+};
+
+/**
+ * List the fields annotators disagree on for one sample
+ */
+const findConflicts = (sample) => {
+  const conflicts = Object.entries(CATEGORICAL_FIELDS)
+    .filter(([, read]) => new Set(Object.values(collectRatings(sample, read))).size > 1)
+    .map(([field]) => field);
+
+  const qualities = Object.values(collectRatings(sample, annotation => annotation.quality));
+  if (qualities.length >= 2 && Math.max(...qualities) - Math.min(...qualities) >= QUALITY_CONFLICT_SPREAD) {
+    conflicts.push('quality');
+  }
+
+  return conflicts;
+};
+
+/**
+ * Samples whose annotators disagree on at least one field
+ * @param {Object} options - { match, field, includeAdjudicated }
+ */
+const listConflictingSamples = async ({ match = {}, field, includeAdjudicated = false } = {}) => {
+  const filter = { ...match };
+  if (!includeAdjudicated) {
+    filter['adjudication.adjudicatedAt'] = { $exists: false };
+  }
+
+  const samples = await findMultiAnnotated(filter);
+
+  return samples
+    .map(sample => ({ sample, conflicts: findConflicts(sample) }))
+    .filter(({ conflicts }) => conflicts.length > 0 && (!field || conflicts.includes(field)))
+    .map(({ sample, conflicts }) => ({
+      id: sample._id,
+      text: sample.text,
+      language: sample.language,
+      dialect: sample.metadata?.dialect,
+      conflicts,
+      annotations: sample.annotations.map(annotation => ({
+        annotatorId: annotation.annotatorId,
+        sentiment: annotation.sentiment,
+        biasFlags: annotation.biasFlags,
+        quality: annotation.quality
+      })),
+      adjudication: sample.adjudication
+    }));
+};
+
+module.exports = {
+  AGREEMENT_FIELDS: [...Object.keys(CATEGORICAL_FIELDS), 'quality'],
+  buildAgreementReport,
+  listConflictingSamples
+};
@@ -0,0 +1,110 @@
+/**
+ * API Key Service
+ * Creates and authenticates per-user API keys of the form hata_<id>_<secret>
+ */
+
+const crypto = require('crypto');
+const ApiKey = require('../models/ApiKey');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+
+const API_KEY_SCOPES = ApiKey.schema.path('scopes').caster.enumValues;
+const KEY_PATTERN = /^(hata_[A-Za-z0-9]{8})_([A-Za-z0-9_-]{43})$/;
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER) || 10;
+// lastUsedAt is refreshed at most this often to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60000;
+
+// Scopes whose routes need more than the default role
+const SCOPE_ROLES = {
+  'datasets:read': ['researcher', 'admin']
+};
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Error with a code the routes map to a status
+ */
+const apiKeyError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Create a key for a user; the raw key is only returned here
+ * @param {Object} user - Owner
+ * @param {Object} options - { name, scopes, expiresInDays }
+ * @returns {Object} { apiKey, key }
+ */
+const createApiKey = async (user, { name, scopes, expiresInDays }) => {
+  const forbidden = scopes.filter(scope => SCOPE_ROLES[scope] && !SCOPE_ROLES[scope].includes(user.role));
+  if (forbidden.length > 0) {
+    throw apiKeyError(`Your role cannot use scope(s): ${forbidden.join(', ')}`, 'API_KEY_SCOPE_FORBIDDEN');
+  }
+
+  const activeKeys = await ApiKey.countDocuments({
+    userId: user._id,
+    revokedAt: null,
+    $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+  });
+  if (activeKeys >= MAX_KEYS_PER_USER) {
+    throw apiKeyError(`A user can have at most ${MAX_KEYS_PER_USER} active API keys`, 'API_KEY_LIMIT');
+  }
+
+  const prefix = `hata_${crypto.randomBytes(6).toString('base64url').replace(/[-_]/g, '0').slice(0, 8)}`;
+  const key = `${prefix}_${crypto.randomBytes(32).toString('base64url')}`;
+
+  const apiKey = await ApiKey.create({
+    userId: user._id,
+    name,
+    prefix,
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    expiresAt: expiresInDays ? new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000) : undefined
+  });
+
+  return { apiKey, key };
+};
+
+/**
+ * Resolve an X-API-Key header to its key and owner
+ * @param {string} key - Raw API key
+ * @param {string} ip - Client IP, recorded as last use
+ * @returns {Object} { apiKey, user }
+ */
+const authenticateApiKey = async (key, ip) => {
+  const match = KEY_PATTERN.exec(String(key).trim());
+  if (!match) {
+    throw apiKeyError('Invalid API key', 'API_KEY_INVALID');
+  }
+
+  const apiKey = await ApiKey.findOne({ prefix: match[1] }).select('+keyHash');
+  const expected = Buffer.from(apiKey?.keyHash || '', 'hex');
+  const actual = Buffer.from(hashKey(match[0]), 'hex');
+
+  if (!apiKey || expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    throw apiKeyError('Invalid API key', 'API_KEY_INVALID');
+  }
+
+  if (!apiKey.isUsable()) {
+    throw apiKeyError('API key has expired or been revoked', 'API_KEY_INVALID');
+  }
+
+  const user = await User.findById(apiKey.userId).select('-password');
+  if (!user || !user.isActive) {
+    throw apiKeyError('API key owner is not active', 'API_KEY_INVALID');
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: new Date(), lastUsedIp: ip } })
+      .catch(error => logger.warn(`API key lastUsedAt update failed: ${error.message}`));
+  }
+
+  return { apiKey, user };
+};
+
+module.exports = {
+  API_KEY_SCOPES,
+  createApiKey,
+  authenticateApiKey
+};
@@ -0,0 +1,216 @@
+/**
+ * Confidence Calibration
+ * Calibration reports from feedback labels and offline evaluations, and the
+ * stored per-model scaling applied to returned confidences
+ */
+
+const mongoose = require('mongoose');
+const Prediction = require('../models/Prediction');
+const EvaluationRun = require('../models/EvaluationRun');
+const EvaluationResult = require('../models/EvaluationResult');
+const ModelCalibration = require('../models/ModelCalibration');
+const { positiveScore } = require('../utils/metrics');
+const { applyScaling, calibrationReport, fitTemperature, fitPlatt } = require('../utils/calibration');
+const { createLruCache } = require('../utils/lruCache');
+
+const CALIBRATION_SOURCES = ['feedback', 'evaluation', 'all'];
+const MAX_SAMPLES = parseInt(process.env.CALIBRATION_MAX_SAMPLES) || 20000;
+
+// Scalings are read on every prediction, so keep them briefly in memory
+const scalingCache = createLruCache({ maxEntries: 100, ttlMs: 60000 });
+
+/**
+ * Labelled predictions from user feedback
+ */
+const loadFeedbackSamples = async ({ modelVersion, language }) => {
+  const filter = { 'feedback.correctLabel': { $in: [0, 1] } };
+  if (language) filter.language = language;
+  if (modelVersion) {
+    filter['metadata.modelVersion'] = modelVersion === 'v1.0' ? { $in: [modelVersion, null] } : modelVersion;
+  }
+
+  const predictions = await Prediction.find(filter)
+    .sort({ timestamp: -1 })
+    .limit(MAX_SAMPLES)
+    .select('language prediction metadata.modelVersion feedback.correctLabel')
+    .lean();
+
+  return predictions.map(prediction => ({
+    modelVersion: prediction.metadata?.modelVersion || 'v1.0',
+    language: prediction.language,
+    score: positiveScore(prediction.prediction),
+    label: prediction.feedback.correctLabel,
+    source: 'feedback'
+  }));
+};
+
+/**
+ * Scored Dataset samples from the latest completed evaluation run of each model version
+ */
+const loadEvaluationSamples = async ({ modelVersion, language }) => {
+  const runMatch = { status: 'completed' };
+  if (modelVersion) runMatch.modelVersion = modelVersion;
+
+  const latestRuns = await EvaluationRun.aggregate([
+    { $match: runMatch },
+    { $sort: { completedAt: -1 } },
+    { $group: { _id: '$modelVersion', runId: { $first: '$_id' } } }
+  ]);
+
+  if (latestRuns.length === 0) {
+    return [];
+  }
+
+  const filter = {
+    runId: { $in: latestRuns.map(run => new mongoose.Types.ObjectId(String(run.runId))) },
+    error: { $exists: false },
+    score: { $type: 'number' }
+  };
+  if (language) filter.language = language;
+
+  const results = await EvaluationResult.find(filter)
+    .limit(MAX_SAMPLES)
+    .select('modelVersion language score label')
+    .lean();
+
+  return results.map(result => ({ ...result, source: 'evaluation' }));
+};
+
+/**
+ * Labelled samples for the requested source
+ * @param {Object} options - { source, modelVersion, language }
+ */
+const loadCalibrationSamples = async ({ source = 'all', modelVersion, language } = {}) => {
+  const [feedback, evaluation] = await Promise.all([
+    source !== 'evaluation' ? loadFeedbackSamples({ modelVersion, language }) : [],
+    source !== 'feedback' ? loadEvaluationSamples({ modelVersion, language }) : []
+  ]);
+  return [...feedback, ...evaluation];
+};
+
+/**
+ * Calibration per model version, overall and per language, before and after
+ * any stored scaling
+ * @param {Object} options - { source, modelVersion, language, bins }
+ */
+const buildCalibrationReport = async ({ source = 'all', modelVersion, language, bins = 10 } = {}) => {
+  const samples = await loadCalibrationSamples({ source, modelVersion, language });
+  const scalings = await ModelCalibration.find(modelVersion ? { modelVersion } : {}).lean();
+  const scalingByVersion = new Map(scalings.map(scaling => [scaling.modelVersion, scaling]));
+
+  const byModel = new Map();
+  samples.forEach((sample) => {
+    if (!byModel.has(sample.modelVersion)) byModel.set(sample.modelVersion, []);
+    byModel.get(sample.modelVersion).push(sample);
+  });
+
+  return [...byModel.entries()]
+    .sort(([a], [b]) => a.localeCompare(b))
+    .map(([version, modelSamples]) => {
+      const scaling = scalingByVersion.get(version);
+      const report = (group) => ({
+        ...calibrationReport(group, bins),
+        calibrated: scaling
+          ? calibrationReport(group.map(sample => ({ ...sample, score: applyScaling(sample.score, scaling) })), bins)
+          : undefined
+      });
+
+      const languages = {};
+      [...new Set(modelSamples.map(sample => sample.language))].sort().forEach((code) => {
+        languages[code] = report(modelSamples.filter(sample => sample.language === code));
+      });
+
+      return {
+        modelVersion: version,
+        scaling: scaling || null,
+        sources: {
+          feedback: modelSamples.filter(sample => sample.source === 'feedback').length,
+          evaluation: modelSamples.filter(sample => sample.source === 'evaluation').length
+        },
+        all: report(modelSamples),
+        languages
+      };
+    });
+};
+
+/**
+ * Fit a scaling for a model version on its labelled samples
+ * @param {Object} options - { modelVersion, method, source }
+ * @returns {Object|null} Scaling fields with fit statistics, or null without data
+ */
+const fitScaling = async ({ modelVersion, method, source = 'all' }) => {
+  const samples = await loadCalibrationSamples({ source, modelVersion });
+  if (samples.length === 0) {
+    return null;
+  }
+
+  const scaling = method === 'platt' ? fitPlatt(samples) : fitTemperature(samples);
+  const before = calibrationReport(samples);
+  const after = calibrationReport(samples.map(sample => ({ ...sample, score: applyScaling(sample.score, scaling) })));
+
+  return {
+    ...scaling,
+    fit: {
+      source,
+      sampleSize: samples.length,
+      eceBefore: before.ece,
+      eceAfter: after.ece,
+      brierBefore: before.brier,
+      brierAfter: after.brier
+    }
+  };
+};
+
+/**
+ * Stored scaling for a model version (null when uncalibrated)
+ * @param {string} modelVersion - Model version
+ */
+const getScaling = async (modelVersion) => {
+  const cached = scalingCache.get(modelVersion);
+  if (cached !== undefined) {
+    return cached;
+  }
+
+  const scaling = await ModelCalibration.findOne({ modelVersion })
+    .select('method temperature plattA plattB')
+    .lean();
+  scalingCache.set(modelVersion, scaling || null);
+  return scaling || null;
+};
+
+/**
+ * Drop cached scalings after one is stored or removed
+ */
+const clearScalingCache = () => scalingCache.clear();
+
+/**
+ * Prediction with its confidence and probabilities scaled for the response.
+ * The label stays the model's decision; confidence becomes the calibrated
+ * probability of that label.
+ * @param {Object} prediction - { label, confidence, probabilities }
+ * @param {Object|null} scaling - Stored scaling
+ */
+const calibratePrediction = (prediction, scaling) => {
+  if (!scaling) {
+    return prediction;
+  }
+
+  const score = applyScaling(positiveScore(prediction), scaling);
+
+  return {
+    label: prediction.label,
+    confidence: prediction.label === 1 ? score : 1 - score,
+    probabilities: [1 - score, score],
+    uncalibratedConfidence: prediction.confidence,
+    calibration: scaling.method
+  };
+};
+
+module.exports = {
+  CALIBRATION_SOURCES,
+  buildCalibrationReport,
+  fitScaling,
+  getScaling,
+  clearScalingCache,
+  calibratePrediction
+};
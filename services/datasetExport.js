@@ -0,0 +1,148 @@
+/**
+ * Dataset Export Service
+ * Streams Dataset samples as JSONL or CSV with stable, flat columns
+ * that load directly into HuggingFace `datasets`
+ */
+
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const Dataset = require('../models/Dataset');
+const { toCsvRow } = require('../utils/csv');
+
+const EXPORT_FORMATS = ['jsonl', 'csv'];
+const EXPORT_COLUMNS = ['text', 'label', 'language', 'split', 'domain', 'source'];
+
+const CONTENT_TYPES = {
+  jsonl: 'application/x-ndjson; charset=utf-8',
+  csv: 'text/csv; charset=utf-8'
+};
+
+/**
+ * Build a Dataset query from export filters
+ * @param {Object} filters - { languages, splits, verifiedOnly }
+ */
+const buildExportFilter = ({ languages = [], splits = [], verifiedOnly = false }) => {
+  const filter = {};
+
+  if (languages.length) filter.language = { $in: languages };
+  if (splits.length) filter.split = { $in: splits };
+  if (verifiedOnly) filter.isVerified = true;
+
+  return filter;
+};
+
+/**
+ * Flatten a Dataset sample into the export columns
+ */
+const toExportRow = (sample) => ({
+  text: sample.text,
+  label: sample.label,
+  language: sample.language,
+  split: sample.split,
+  domain: sample.metadata?.domain || 'other',
+  source: sample.metadata?.source || ''
+});
+
+/**
+ * Serialize one row in the requested format
+ */
+const formatRow = (row, format) => {
+  if (format === 'csv') {
+    return toCsvRow(EXPORT_COLUMNS.map(column => row[column]));
+  }
+  return JSON.stringify(row, EXPORT_COLUMNS) + '\n';
+};
+
+/**
+ * Generate an export chunk by chunk while building its manifest.
+ * Rows are sorted by _id so the same data always produces the same content hash.
+ * Once the last row has been yielded the manifest is passed to onComplete, which
+ * is awaited before the generator finishes (so a stream built from it only ends
+ * after the manifest has been stored).
+ * @param {Object} options - { filters, format, onComplete }
+ */
+async function* exportChunks({ filters, format, onComplete = () => {} }) {
+  const hash = crypto.createHash('sha256');
+  const bySplit = {};
+  const byLanguage = {};
+  const byLabel = {};
+  let total = 0;
+  let lastUpdatedAt = null;
+
+  const emit = (chunk) => {
+    hash.update(chunk);
+    return chunk;
+  };
+
+  if (format === 'csv') {
+    yield emit(toCsvRow(EXPORT_COLUMNS));
+  }
+
+  const cursor = Dataset.find(buildExportFilter(filters))
+    .sort({ _id: 1 })
+    .select('text label language split metadata.domain metadata.source updatedAt')
+    .lean()
+    .cursor();
+
+  // Also runs when the consumer stops early, so an aborted export does not leave the cursor open
+  try {
+    for await (const sample of cursor) {
+      const row = toExportRow(sample);
+      yield emit(formatRow(row, format));
+
+      total++;
+      bySplit[row.split] = (bySplit[row.split] || 0) + 1;
+      byLanguage[row.language] = (byLanguage[row.language] || 0) + 1;
+      byLabel[row.label] = (byLabel[row.label] || 0) + 1;
+
+      if (sample.updatedAt && (!lastUpdatedAt || sample.updatedAt > lastUpdatedAt)) {
+        lastUpdatedAt = sample.updatedAt;
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  await onComplete({
+    format,
+    columns: EXPORT_COLUMNS,
+    filters,
+    total,
+    counts: { bySplit, byLanguage, byLabel },
+    contentHash: `sha256:${hash.digest('hex')}`,
+    lastUpdatedAt,
+    generatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Readable stream of an export, to pipe into a response
+ * @param {Object} options - { filters, format, onComplete(manifest) }
+ */
+const createExportStream = options => Readable.from(exportChunks(options));
+
+/**
+ * Build the manifest of an export without sending it anywhere
+ * @param {Object} options - { filters, format }
+ * @returns {Object} Export manifest
+ */
+const buildExportManifest = async ({ filters, format }) => {
+  let manifest;
+  const chunks = exportChunks({ filters, format, onComplete: (result) => { manifest = result; } });
+
+  // Only the hash and counts are needed, so the chunks themselves are dropped
+  let step;
+  do {
+    step = await chunks.next();
+  } while (!step.done);
+
+  return manifest;
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  EXPORT_COLUMNS,
+  CONTENT_TYPES,
+  createExportStream,
+  buildExportManifest
+};
@@ -0,0 +1,223 @@
+/**
+ * Dataset Import Service
+ * Validates JSONL/CSV rows and bulk-inserts them into the Dataset collection
+ */
+
+const Dataset = require('../models/Dataset');
+const { parseCsvRecords } = require('../utils/csv');
+const logger = require('../utils/logger');
+
+const IMPORT_FORMATS = ['jsonl', 'csv'];
+const INSERT_CHUNK_SIZE = 500;
+const MAX_REPORTED_ERRORS = 500;
+
+// Columns accepted in uploads, mapped to Dataset paths
+const METADATA_COLUMNS = ['source', 'domain', 'dialect', 'generatorModel'];
+
+/**
+ * Parse JSONL content into records
+ * @param {string} content - Raw JSONL text
+ * @returns {Object} { rows: [{ line, record }], errors: [{ row, errors }] }
+ */
+const parseJsonl = (content) => {
+  const rows = [];
+  const errors = [];
+
+  content.split(/\r?\n/).forEach((raw, index) => {
+    if (!raw.trim()) {
+      return;
+    }
+
+    try {
+      const record = JSON.parse(raw);
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw new Error('Row must be a JSON object');
+      }
+      rows.push({ line: index + 1, record });
+    } catch (error) {
+      errors.push({ row: index + 1, errors: [`Invalid JSON: ${error.message}`] });
+    }
+  });
+
+  return { rows, errors };
+};
+
+/**
+ * Read a column from a flat (CSV) or nested (JSONL) record
+ */
+const readMetadataColumn = (record, column) => {
+  const value = record.metadata?.[column] ?? record[`metadata.${column}`] ?? record[column];
+  return typeof value === 'string' ? value.trim() || undefined : value;
+};
+
+/**
+ * Map an upload record onto a Dataset document shape
+ * @param {Object} record - Parsed row
+ * @param {Object} defaults - { source, split } applied when the row has none
+ */
+const toDatasetDocument = (record, defaults = {}) => {
+  const text = typeof record.text === 'string' ? record.text.trim() : record.text;
+  const label = record.label === undefined || record.label === '' ? undefined : Number(record.label);
+  const language = typeof record.language === 'string' ? record.language.trim().toLowerCase() : record.language;
+
+  const metadata = METADATA_COLUMNS.reduce((fields, column) => {
+    const value = readMetadataColumn(record, column);
+    if (value !== undefined) {
+      fields[column] = value;
+    }
+    return fields;
+  }, {});
+
+  if (!metadata.source && defaults.source) {
+    metadata.source = defaults.source;
+  }
+
+  const doc = {
+    text,
+    language,
+    label,
+    isHumanGenerated: label === 0,
+    metadata,
+    split: (typeof record.split === 'string' && record.split.trim()) || defaults.split
+  };
+
+  // insertMany skips the pre-save hook, so fill the counts here
+  if (typeof text === 'string') {
+    Object.assign(doc.metadata, Dataset.computeTextStats(text));
+  }
+
+  if (doc.split) {
+    doc.splitAssignedAt = new Date();
+  }
+
+  return doc;
+};
+
+/**
+ * Import Dataset samples from JSONL or CSV content
+ * @param {string} content - Raw file content
+ * @param {Object} options - { format, source, split, dryRun }
+ * @returns {Object} Import report
+ */
+const importDataset = async (content, { format, source, split, dryRun = false } = {}) => {
+  if (!IMPORT_FORMATS.includes(format)) {
+    throw new Error(`Unsupported import format: ${format}`);
+  }
+
+  const parsed = format === 'csv'
+    ? { rows: parseCsvRecords(content), errors: [] }
+    : parseJsonl(content);
+
+  const rejected = [...parsed.errors];
+  const skipped = [];
+  const valid = [];
+  const seenTexts = new Set();
+
+  // Validate every row against the Dataset schema
+  parsed.rows.forEach(({ line, record }) => {
+    const doc = toDatasetDocument(record, { source, split });
+    const validationError = new Dataset(doc).validateSync();
+
+    if (validationError) {
+      rejected.push({
+        row: line,
+        errors: Object.values(validationError.errors).map(e => e.message)
+      });
+      return;
+    }
+
+    if (seenTexts.has(doc.text)) {
+      skipped.push({ row: line, reason: 'Duplicate text within upload' });
+      return;
+    }
+
+    seenTexts.add(doc.text);
+    valid.push({ line, doc });
+  });
+
+  // Skip texts that are already in the collection
+  const toInsert = [];
+  for (let i = 0; i < valid.length; i += INSERT_CHUNK_SIZE) {
+    const chunk = valid.slice(i, i + INSERT_CHUNK_SIZE);
+    const existing = await Dataset.find({ text: { $in: chunk.map(({ doc }) => doc.text) } })
+      .select('text')
+      .lean();
+    const existingTexts = new Set(existing.map(sample => sample.text));
+
+    chunk.forEach(({ line, doc }) => {
+      if (existingTexts.has(doc.text)) {
+        skipped.push({ row: line, reason: 'Duplicate text already in dataset' });
+      } else {
+        toInsert.push({ line, doc });
+      }
+    });
+  }
+
+  let inserted = 0;
+  if (!dryRun) {
+    for (let i = 0; i < toInsert.length; i += INSERT_CHUNK_SIZE) {
+      const chunk = toInsert.slice(i, i + INSERT_CHUNK_SIZE);
+      try {
+        const docs = await Dataset.insertMany(chunk.map(({ doc }) => doc), { ordered: false });
+        inserted += docs.length;
+      } catch (error) {
+        // Unordered inserts keep going past failed documents (e.g. a duplicate
+        // text added since the check above): count what went in, reject the rest
+        if (error.name !== 'MongoBulkWriteError' || !error.writeErrors) {
+          throw error;
+        }
+
+        inserted += error.insertedDocs?.length ?? error.result?.insertedCount ?? 0;
+        error.writeErrors.forEach((writeError) => {
+          const code = writeError.code ?? writeError.err?.code;
+          rejected.push({
+            row: chunk[writeError.index].line,
+            errors: [code === 11000 ? 'Duplicate text already in dataset' : (writeError.errmsg || writeError.err?.errmsg || 'Insert failed')]
+          });
+        });
+      }
+    }
+  }
+
+  rejected.sort((a, b) => a.row - b.row);
+  skipped.sort((a, b) => a.row - b.row);
+
+  logger.info(`Dataset import (${format}${dryRun ? ', dry run' : ''}): ${inserted} inserted, ${skipped.length} skipped, ${rejected.length} rejected`);
+
+  return {
+    format,
+    dryRun,
+    totalRows: parsed.rows.length + parsed.errors.length,
+    inserted,
+    insertable: toInsert.length,
+    skipped: skipped.length,
+    rejected: rejected.length,
+    errors: rejected.slice(0, MAX_REPORTED_ERRORS),
+    skippedRows: skipped.slice(0, MAX_REPORTED_ERRORS)
+  };
+};
+
+/**
+ * Work out the import format from an explicit value, content type or file name
+ */
+const detectImportFormat = ({ format, contentType = '', fileName = '' }) => {
+  if (format) {
+    return format.toLowerCase();
+  }
+
+  if (contentType.includes('csv') || fileName.endsWith('.csv')) {
+    return 'csv';
+  }
+
+  if (/ndjson|jsonl|jsonlines/.test(contentType) || /\.(jsonl|ndjson)$/.test(fileName)) {
+    return 'jsonl';
+  }
+
+  return undefined;
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  importDataset,
+  detectImportFormat
+};
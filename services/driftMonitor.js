@@ -0,0 +1,208 @@
+/**
+ * Drift Monitor
+ * Periodically compares recent Prediction traffic against a reference window,
+ * stores a DriftSnapshot and alerts when a statistic crosses its threshold
+ */
+
+const axios = require('axios');
+const Prediction = require('../models/Prediction');
+const DriftSnapshot = require('../models/DriftSnapshot');
+const { numericPsi, categoricalPsi, ksStatistic } = require('../utils/drift');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 3600000;
+
+const DRIFT_CONFIG = {
+  windowHours: parseFloat(process.env.DRIFT_WINDOW_HOURS) || 24,
+  referenceDays: parseFloat(process.env.DRIFT_REFERENCE_DAYS) || 7,
+  intervalMinutes: parseFloat(process.env.DRIFT_CHECK_INTERVAL_MINUTES) || 60,
+  minSamples: parseInt(process.env.DRIFT_MIN_SAMPLES) || 100,
+  maxSamples: parseInt(process.env.DRIFT_MAX_SAMPLES) || 5000,
+  psiThreshold: parseFloat(process.env.DRIFT_PSI_THRESHOLD) || 0.2,
+  ksThreshold: parseFloat(process.env.DRIFT_KS_THRESHOLD) || 0.1,
+  webhookUrl: process.env.DRIFT_ALERT_WEBHOOK_URL
+};
+
+// Numeric features checked with both PSI and KS; categorical ones with PSI only
+const NUMERIC_FEATURES = ['confidence', 'genderBias', 'ethnicBias', 'religiousBias', 'overallBias', 'textLength'];
+const CATEGORICAL_FEATURES = ['predictedLabel', 'language'];
+
+let timer = null;
+let isChecking = false;
+
+/**
+ * Feature values of a random sample of predictions made in [start, end)
+ */
+const loadWindow = (start, end) => {
+  return Prediction.aggregate([
+    { $match: { timestamp: { $gte: start, $lt: end } } },
+    { $sample: { size: DRIFT_CONFIG.maxSamples } },
+    {
+      $project: {
+        _id: 0,
+        confidence: '$prediction.confidence',
+        predictedLabel: '$prediction.label',
+        genderBias: { $ifNull: ['$biasScore.genderBias', 0] },
+        ethnicBias: { $ifNull: ['$biasScore.ethnicBias', 0] },
+        religiousBias: { $ifNull: ['$biasScore.religiousBias', 0] },
+        overallBias: { $ifNull: ['$biasScore.overallBias', 0] },
+        textLength: { $strLenCP: '$text' },
+        language: 1
+      }
+    }
+  ]);
+};
+
+/**
+ * Means of the numeric features and shares of the categorical ones
+ */
+const summarize = (rows) => {
+  if (rows.length === 0) {
+    return {};
+  }
+
+  const summary = {};
+  NUMERIC_FEATURES.forEach((feature) => {
+    summary[feature] = rows.reduce((sum, row) => sum + row[feature], 0) / rows.length;
+  });
+  CATEGORICAL_FEATURES.forEach((feature) => {
+    summary[feature] = rows.reduce((shares, row) => {
+      shares[row[feature]] = (shares[row[feature]] || 0) + 1 / rows.length;
+      return shares;
+    }, {});
+  });
+  return summary;
+};
+
+/**
+ * PSI/KS statistics for every feature
+ */
+const compareWindows = (reference, current) => {
+  const column = (rows, feature) => rows.map(row => row[feature]);
+  const result = (feature, statistic, value, threshold) => ({
+    feature,
+    statistic,
+    value,
+    threshold,
+    drifted: value !== null && value > threshold
+  });
+
+  return [
+    ...NUMERIC_FEATURES.flatMap(feature => [
+      result(feature, 'psi', numericPsi(column(reference, feature), column(current, feature)), DRIFT_CONFIG.psiThreshold),
+      result(feature, 'ks', ksStatistic(column(reference, feature), column(current, feature)), DRIFT_CONFIG.ksThreshold)
+    ]),
+    ...CATEGORICAL_FEATURES.map(feature =>
+      result(feature, 'psi', categoricalPsi(column(reference, feature), column(current, feature)), DRIFT_CONFIG.psiThreshold)
+    )
+  ];
+};
+
+/**
+ * Log the drift and post it to the alert webhook when one is configured
+ */
+const sendAlert = async (snapshot, drifted) => {
+  const details = drifted.map(item => `${item.feature} ${item.statistic}=${item.value.toFixed(3)}`).join(', ');
+  logger.warn(`Prediction drift detected (snapshot ${snapshot._id}): ${details}`);
+
+  if (!DRIFT_CONFIG.webhookUrl) {
+    return;
+  }
+
+  try {
+    await axios.post(DRIFT_CONFIG.webhookUrl, {
+      event: 'prediction_drift',
+      snapshotId: snapshot._id,
+      reference: snapshot.reference,
+      current: snapshot.current,
+      drifted
+    }, { timeout: 5000 });
+  } catch (error) {
+    logger.error(`Drift alert webhook error: ${error.message}`);
+  }
+};
+
+/**
+ * Run one drift check and store its snapshot
+ * @param {Object} options - { trigger, now }
+ * @returns {Object} DriftSnapshot document
+ */
+const runDriftCheck = async ({ trigger = 'schedule', now = new Date() } = {}) => {
+  const currentStart = new Date(now.getTime() - DRIFT_CONFIG.windowHours * HOUR_MS);
+  const referenceStart = new Date(currentStart.getTime() - DRIFT_CONFIG.referenceDays * 24 * HOUR_MS);
+
+  const [reference, current] = await Promise.all([
+    loadWindow(referenceStart, currentStart),
+    loadWindow(currentStart, now)
+  ]);
+
+  const enoughData = reference.length >= DRIFT_CONFIG.minSamples && current.length >= DRIFT_CONFIG.minSamples;
+  const features = enoughData ? compareWindows(reference, current) : [];
+  const drifted = features.filter(item => item.drifted);
+
+  const snapshot = await DriftSnapshot.create({
+    reference: { start: referenceStart, end: currentStart, count: reference.length },
+    current: { start: currentStart, end: now, count: current.length },
+    status: !enoughData ? 'insufficient_data' : drifted.length > 0 ? 'drift' : 'ok',
+    features,
+    summary: { reference: summarize(reference), current: summarize(current) },
+    trigger
+  });
+
+  if (drifted.length === 0) {
+    return snapshot;
+  }
+
+  // Only alert when a feature starts drifting, not on every check while it stays drifted
+  const previous = await DriftSnapshot.findOne({ _id: { $ne: snapshot._id }, status: { $ne: 'insufficient_data' } })
+    .sort({ createdAt: -1 })
+    .select('features');
+  const previouslyDrifted = new Set((previous?.features || [])
+    .filter(item => item.drifted)
+    .map(item => `${item.feature}:${item.statistic}`));
+  const newlyDrifted = drifted.filter(item => !previouslyDrifted.has(`${item.feature}:${item.statistic}`));
+
+  if (newlyDrifted.length > 0) {
+    await sendAlert(snapshot, drifted);
+    snapshot.alerted = true;
+    await snapshot.save();
+  }
+
+  return snapshot;
+};
+
+/**
+ * Start the scheduled drift check (DRIFT_MONITOR_ENABLED=false disables it)
+ */
+const startDriftMonitor = () => {
+  if (timer || process.env.DRIFT_MONITOR_ENABLED === 'false') {
+    return;
+  }
+
+  timer = setInterval(async () => {
+    if (isChecking) {
+      return;
+    }
+    isChecking = true;
+
+    try {
+      const snapshot = await runDriftCheck();
+      logger.info(`Drift check ${snapshot._id}: ${snapshot.status} (${snapshot.reference.count} reference, ${snapshot.current.count} current)`);
+    } catch (error) {
+      logger.error(`Drift check error: ${error.message}`);
+    } finally {
+      isChecking = false;
+    }
+  }, DRIFT_CONFIG.intervalMinutes * 60 * 1000);
+
+  // Never keep the process alive just for the monitor
+  timer.unref();
+
+  logger.info(`Drift monitor checking every ${DRIFT_CONFIG.intervalMinutes} minutes`);
+};
+
+module.exports = {
+  DRIFT_CONFIG,
+  runDriftCheck,
+  startDriftMonitor
+};
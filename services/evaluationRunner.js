@@ -0,0 +1,265 @@
+/**
+ * Evaluation Runner
+ * Scores a Dataset split through a registered model and writes Performance records.
+ * Per-sample results are stored as they arrive, so an interrupted run resumes where it stopped.
+ */
+
+const Dataset = require('../models/Dataset');
+const Performance = require('../models/Performance');
+const EvaluationRun = require('../models/EvaluationRun');
+const EvaluationResult = require('../models/EvaluationResult');
+const { getModel } = require('./modelRegistry');
+const { binaryMetrics, positiveScore } = require('../utils/metrics');
+const { FAIRNESS_ATTRIBUTES, computeFairness } = require('../utils/fairness');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+const EVAL_CONCURRENCY = parseInt(process.env.EVAL_CONCURRENCY) || 4;
+const EVAL_PAGE_SIZE = 200;
+
+// Runs being processed by this process
+const activeRuns = new Set();
+
+/**
+ * Dataset query for the samples a run covers
+ */
+const buildSampleFilter = (run) => {
+  const filter = { split: run.split };
+  if (run.filters?.languages?.length) filter.language = { $in: run.filters.languages };
+  if (run.filters?.verifiedOnly) filter.isVerified = true;
+  return filter;
+};
+
+/**
+ * Create a run, or return the unfinished run for the same model, split and filters
+ * @param {Object} options - { modelVersion, split, languages, verifiedOnly, startedBy }
+ */
+const startEvaluation = async ({ modelVersion, split = 'test', languages = [], verifiedOnly = false, startedBy }) => {
+  if (!getModel(modelVersion)) {
+    const error = new Error(`Unknown model version: ${modelVersion}`);
+    error.code = 'MODEL_NOT_AVAILABLE';
+    throw error;
+  }
+
+  // Sorted so the same language set always matches the stored filter
+  const languageFilter = [...new Set(languages)].sort();
+
+  const unfinished = await EvaluationRun.findOne({
+    modelVersion,
+    split,
+    'filters.languages': languageFilter,
+    'filters.verifiedOnly': verifiedOnly,
+    status: { $in: ['queued', 'running', 'interrupted'] }
+  }).sort({ createdAt: -1 });
+
+  if (unfinished) {
+    return unfinished;
+  }
+
+  return EvaluationRun.create({
+    modelVersion,
+    split,
+    filters: { languages: languageFilter, verifiedOnly },
+    startedBy
+  });
+};
+
+/**
+ * Write one Performance document per language plus 'all' for a run
+ * @param {Object} run - EvaluationRun document
+ * @returns {Array} Performance documents
+ */
+const computeRunMetrics = async (run) => {
+  const results = await EvaluationResult.find({ runId: run._id, error: { $exists: false } })
+    .select('language dialect domain biasFlags label predictedLabel score')
+    .lean();
+
+  const groups = { all: results };
+  results.forEach((result) => {
+    (groups[result.language] = groups[result.language] || []).push(result);
+  });
+
+  // Recomputing a run replaces its earlier records
+  await Performance.deleteMany({ evaluationRunId: run._id });
+
+  const performances = [];
+  for (const [language, groupResults] of Object.entries(groups)) {
+    if (groupResults.length === 0) {
+      continue;
+    }
+
+    const { metrics, confusionMatrix, sampleSize } = binaryMetrics(groupResults);
+    const fairnessMetrics = computeFairness(groupResults, {
+      attributes: language === 'all' ? FAIRNESS_ATTRIBUTES : FAIRNESS_ATTRIBUTES.filter(attribute => attribute !== 'language')
+    });
+
+    performances.push(await Performance.create({
+      modelVersion: run.modelVersion,
+      language,
+      metrics,
+      fairnessMetrics,
+      confusionMatrix,
+      sampleSize,
+      split: run.split,
+      evaluationRunId: run._id,
+      evaluationDate: new Date(),
+      notes: `Offline evaluation run ${run._id} on ${run.split} split`
+    }));
+  }
+
+  return performances;
+};
+
+/**
+ * Score every remaining sample of a run, then compute its metrics
+ * @param {string} runId - EvaluationRun id
+ */
+const runEvaluation = async (runId) => {
+  const id = runId.toString();
+  if (activeRuns.has(id)) {
+    return;
+  }
+  activeRuns.add(id);
+
+  try {
+    const run = await EvaluationRun.findByIdAndUpdate(
+      id,
+      { $set: { status: 'running', startedAt: new Date() }, $unset: { lastError: 1 } },
+      { new: true }
+    );
+    const model = getModel(run.modelVersion);
+
+    if (!model) {
+      throw new Error(`Model ${run.modelVersion} is no longer registered`);
+    }
+
+    const filter = buildSampleFilter(run);
+
+    // Failed samples are retried on resume; scored ones are kept
+    await EvaluationResult.deleteMany({ runId: run._id, error: { $exists: true } });
+    const done = new Set((await EvaluationResult.distinct('sampleId', { runId: run._id })).map(String));
+
+    const progress = { total: await Dataset.countDocuments(filter), scored: done.size, failed: 0 };
+    await EvaluationRun.updateOne({ _id: run._id }, { $set: { progress } });
+
+    logger.info(`Evaluation ${run._id} (${run.modelVersion}, ${run.split}): ${progress.total} samples, ${done.size} already scored`);
+
+    let circuitError = null;
+    let lastId = null;
+
+    const scoreSample = async (sample) => {
+      if (circuitError) {
+        return;
+      }
+
+      const result = {
+        runId: run._id,
+        sampleId: sample._id,
+        modelVersion: run.modelVersion,
+        split: run.split,
+        language: sample.language,
+        dialect: sample.metadata?.dialect,
+        domain: sample.metadata?.domain,
+        biasFlags: Dataset.resolveBiasFlags(sample),
+        label: sample.label
+      };
+
+      try {
+        const mlResult = await model.client.post('/predict', { text: sample.text, language: sample.language });
+        const prediction = {
+          label: mlResult.prediction?.label || 0,
+          confidence: mlResult.prediction?.confidence || 0,
+          probabilities: mlResult.prediction?.probabilities
+        };
+
+        result.predictedLabel = prediction.label;
+        result.confidence = prediction.confidence;
+        result.score = positiveScore(prediction);
+        progress.scored++;
+      } catch (error) {
+        // An open circuit pauses the run instead of failing every sample
+        if (error.code === 'ML_CIRCUIT_OPEN') {
+          circuitError = error;
+          return;
+        }
+        result.error = error.code || error.message;
+        progress.failed++;
+      }
+
+      await EvaluationResult.updateOne(
+        { runId: run._id, sampleId: sample._id },
+        { $set: result },
+        { upsert: true }
+      );
+    };
+
+    for (;;) {
+      const page = await Dataset.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+        .sort({ _id: 1 })
+        .limit(EVAL_PAGE_SIZE)
+        .select('text language label metadata.domain metadata.dialect annotations.biasFlags adjudication.biasFlags')
+        .lean();
+
+      if (page.length === 0) {
+        break;
+      }
+      lastId = page[page.length - 1]._id;
+
+      const pending = page.filter(sample => !done.has(sample._id.toString()));
+      await mapWithConcurrency(pending, EVAL_CONCURRENCY, scoreSample);
+      await EvaluationRun.updateOne({ _id: run._id }, { $set: { progress } });
+
+      if (circuitError) {
+        throw circuitError;
+      }
+    }
+
+    const performances = await computeRunMetrics(run);
+
+    await EvaluationRun.updateOne({ _id: run._id }, {
+      $set: {
+        status: 'completed',
+        completedAt: new Date(),
+        performanceIds: performances.map(performance => performance._id)
+      }
+    });
+
+    logger.info(`Evaluation ${run._id} completed: ${progress.scored} scored, ${progress.failed} failed`);
+
+  } catch (error) {
+    const interrupted = error.code === 'ML_CIRCUIT_OPEN';
+    logger.error(`Evaluation ${id} ${interrupted ? 'interrupted' : 'failed'}: ${error.message}`);
+
+    await EvaluationRun.updateOne({ _id: id }, {
+      $set: { status: interrupted ? 'interrupted' : 'failed', lastError: error.message }
+    }).catch(() => {});
+  } finally {
+    activeRuns.delete(id);
+  }
+
+  return EvaluationRun.findById(id);
+};
+
+/**
+ * Resume runs that were in progress or waiting when the server stopped,
+ * including runs interrupted by an open ML circuit (a restart closes it)
+ */
+const resumeEvaluations = async () => {
+  try {
+    const runs = await EvaluationRun.find({ status: { $in: ['queued', 'running', 'interrupted'] } }).select('_id');
+    runs.forEach(run => runEvaluation(run._id));
+
+    if (runs.length > 0) {
+      logger.info(`Resuming ${runs.length} evaluation run(s)`);
+    }
+  } catch (error) {
+    logger.error(`Evaluation resume error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  startEvaluation,
+  runEvaluation,
+  resumeEvaluations,
+  computeRunMetrics
+};
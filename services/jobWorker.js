@@ -0,0 +1,169 @@
+/**
+ * Prediction Job Worker
+ * Runs queued prediction jobs in-process against the ML service
+ */
+
+const PredictionJob = require('../models/PredictionJob');
+const Prediction = require('../models/Prediction');
+const { createPrediction, describeMlError, logMlError } = require('./predictionService');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const logger = require('../utils/logger');
+
+const JOB_CONCURRENCY = parseInt(process.env.JOB_CONCURRENCY) || 2;
+
+const queue = [];
+let isProcessing = false;
+
+/**
+ * Prediction already saved for a job item, if any
+ */
+const findItemPrediction = (job, index) => {
+  return Prediction.findOne({ 'metadata.jobId': job._id, 'metadata.jobItemIndex': index }).select('_id');
+};
+
+/**
+ * Score one job item and record the outcome on the job
+ */
+const runItem = async (job, item, index) => {
+  try {
+    // A restart between saving the prediction and recording it on the job
+    // leaves the item pending; a resumed job reuses that prediction
+    let prediction = job.attempts > 1 ? await findItemPrediction(job, index) : null;
+
+    if (!prediction) {
+      ({ prediction } = await createPrediction({
+        text: item.text,
+        language: item.language,
+        userId: job.userId,
+        metadata: {
+          ipAddress: job.metadata?.ipAddress,
+          userAgent: job.metadata?.userAgent,
+          apiKeyId: job.metadata?.apiKeyId,
+          jobId: job._id,
+          jobItemIndex: index
+        },
+        modelVersion: item.modelVersion
+      }));
+    }
+
+    await PredictionJob.updateOne({ _id: job._id }, {
+      $set: {
+        [`items.${index}.status`]: 'completed',
+        [`items.${index}.predictionId`]: prediction._id
+      },
+      $inc: { 'progress.completed': 1 }
+    });
+  } catch (error) {
+    logMlError(error);
+
+    await PredictionJob.updateOne({ _id: job._id }, {
+      $set: {
+        [`items.${index}.status`]: 'failed',
+        [`items.${index}.error`]: describeMlError(error).error
+      },
+      $inc: { 'progress.failed': 1 }
+    });
+  }
+};
+
+/**
+ * Run a single queued job to completion
+ * @param {string} jobId - PredictionJob id
+ */
+const runJob = async (jobId) => {
+  // Claim the job so it is never run twice
+  const job = await PredictionJob.findOneAndUpdate(
+    { _id: jobId, status: 'queued' },
+    { $set: { status: 'running', startedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!job) {
+    return;
+  }
+
+  logger.info(`Prediction job started: ${job._id} (${job.items.length} items)`);
+
+  // Items finished before a restart are skipped
+  const pending = job.items
+    .map((item, index) => ({ item, index }))
+    .filter(({ item }) => item.status === 'pending');
+
+  await mapWithConcurrency(pending, JOB_CONCURRENCY, ({ item, index }) => runItem(job, item, index));
+
+  const finished = await PredictionJob.findById(job._id).select('progress');
+  const { total, failed } = finished.progress;
+
+  await PredictionJob.updateOne({ _id: job._id }, {
+    $set: {
+      status: total > 0 && failed === total ? 'failed' : 'completed',
+      completedAt: new Date()
+    }
+  });
+
+  logger.info(`Prediction job finished: ${job._id} (${failed}/${total} failed)`);
+};
+
+/**
+ * Drain the in-memory queue one job at a time
+ */
+const processQueue = async () => {
+  if (isProcessing) {
+    return;
+  }
+
+  isProcessing = true;
+
+  while (queue.length > 0) {
+    const jobId = queue.shift();
+    try {
+      await runJob(jobId);
+    } catch (error) {
+      logger.error(`Prediction job ${jobId} error: ${error.message}`);
+      await PredictionJob.updateOne({ _id: jobId }, {
+        $set: { status: 'failed', completedAt: new Date() }
+      }).catch(() => {});
+    }
+  }
+
+  isProcessing = false;
+};
+
+/**
+ * Add a job to the queue
+ * @param {string} jobId - PredictionJob id
+ */
+const enqueueJob = (jobId) => {
+  queue.push(jobId.toString());
+  processQueue();
+};
+
+/**
+ * Re-queue unfinished jobs from MongoDB and start processing
+ */
+const startJobWorker = async () => {
+  try {
+    // Jobs interrupted by a restart are picked up again
+    const { modifiedCount } = await PredictionJob.updateMany(
+      { status: 'running' },
+      { $set: { status: 'queued' } }
+    );
+
+    const jobs = await PredictionJob.find({ status: 'queued' })
+      .sort({ createdAt: 1 })
+      .select('_id');
+
+    jobs.forEach(job => queue.push(job._id.toString()));
+
+    logger.info(`Prediction job worker started: ${jobs.length} queued (${modifiedCount} resumed)`);
+
+    processQueue();
+  } catch (error) {
+    logger.error(`Prediction job worker start error: ${error.message}`);
+  }
+};
+
+module.exports = {
+  enqueueJob,
+  startJobWorker
+};
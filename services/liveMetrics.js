@@ -0,0 +1,143 @@
+/**
+ * Live Metrics
+ * Online accuracy, precision and recall of production predictions, using
+ * feedback correctLabel values as ground truth
+ */
+
+const Feedback = require('../models/Feedback');
+
+const DEFAULT_WINDOWS = (process.env.LIVE_METRICS_WINDOWS || '24h,7d,30d').split(',');
+const WINDOW_UNITS = { h: 3600000, d: 86400000, w: 604800000 };
+
+/**
+ * Parse a window such as '24h', '7d' or '4w'
+ * @returns {number|null} Length in milliseconds
+ */
+const parseWindow = (window) => {
+  const match = /^(\d+)([hdw])$/.exec(String(window).trim());
+  if (!match || Number(match[1]) === 0) {
+    return null;
+  }
+  return Number(match[1]) * WINDOW_UNITS[match[2]];
+};
+
+/**
+ * A metric value with the number of labelled samples behind it
+ */
+const metric = (numerator, denominator) => ({
+  value: denominator > 0 ? numerator / denominator : null,
+  sampleSize: denominator
+});
+
+/**
+ * Confusion counts per model version and language for predictions made since a date.
+ * When a prediction has several labelled feedbacks, the latest one wins.
+ */
+const aggregateCounts = (since, language) => {
+  const predictionMatch = { 'prediction.timestamp': { $gte: since } };
+  if (language) predictionMatch['prediction.language'] = language;
+
+  return Feedback.aggregate([
+    // Feedback always follows its prediction, so this narrows the scan early
+    { $match: { correctLabel: { $in: [0, 1] }, timestamp: { $gte: since } } },
+    { $sort: { timestamp: -1 } },
+    { $group: { _id: '$predictionId', correctLabel: { $first: '$correctLabel' } } },
+    {
+      $lookup: {
+        from: 'predictions',
+        localField: '_id',
+        foreignField: '_id',
+        as: 'prediction'
+      }
+    },
+    { $unwind: '$prediction' },
+    { $match: predictionMatch },
+    {
+      $group: {
+        _id: {
+          modelVersion: { $ifNull: ['$prediction.metadata.modelVersion', 'v1.0'] },
+          language: '$prediction.language'
+        },
+        truePositive: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$correctLabel', 1] }, { $eq: ['$prediction.prediction.label', 1] }] }, 1, 0] }
+        },
+        trueNegative: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$correctLabel', 0] }, { $eq: ['$prediction.prediction.label', 0] }] }, 1, 0] }
+        },
+        falsePositive: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$correctLabel', 0] }, { $eq: ['$prediction.prediction.label', 1] }] }, 1, 0] }
+        },
+        falseNegative: {
+          $sum: { $cond: [{ $and: [{ $eq: ['$correctLabel', 1] }, { $eq: ['$prediction.prediction.label', 0] }] }, 1, 0] }
+        }
+      }
+    }
+  ]);
+};
+
+/**
+ * Metrics from confusion counts
+ */
+const countsToMetrics = ({ truePositive, trueNegative, falsePositive, falseNegative }) => {
+  const total = truePositive + trueNegative + falsePositive + falseNegative;
+
+  return {
+    sampleSize: total,
+    accuracy: metric(truePositive + trueNegative, total),
+    precision: metric(truePositive, truePositive + falsePositive),
+    recall: metric(truePositive, truePositive + falseNegative),
+    confusionMatrix: { truePositive, trueNegative, falsePositive, falseNegative }
+  };
+};
+
+/**
+ * Add one row's counts into a running total
+ */
+const addCounts = (total, row) => {
+  ['truePositive', 'trueNegative', 'falsePositive', 'falseNegative'].forEach((key) => {
+    total[key] = (total[key] || 0) + row[key];
+  });
+  return total;
+};
+
+/**
+ * Live metrics per window, model version and language (plus 'all' per model version)
+ * @param {Object} options - { windows, language, modelVersion }
+ */
+const computeLiveMetrics = async ({ windows = DEFAULT_WINDOWS, language, modelVersion } = {}) => {
+  const now = Date.now();
+
+  return Promise.all(windows.map(async (window) => {
+    const since = new Date(now - parseWindow(window));
+    const rows = (await aggregateCounts(since, language))
+      .filter(row => !modelVersion || row._id.modelVersion === modelVersion);
+
+    const byModel = new Map();
+    rows.forEach((row) => {
+      const { modelVersion: version, language: rowLanguage } = row._id;
+      if (!byModel.has(version)) byModel.set(version, { all: {}, languages: {} });
+
+      const entry = byModel.get(version);
+      addCounts(entry.all, row);
+      entry.languages[rowLanguage] = countsToMetrics(row);
+    });
+
+    return {
+      window: String(window).trim(),
+      since,
+      models: [...byModel.entries()]
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([version, entry]) => ({
+          modelVersion: version,
+          all: countsToMetrics(entry.all),
+          languages: entry.languages
+        }))
+    };
+  }));
+};
+
+module.exports = {
+  DEFAULT_WINDOWS,
+  parseWindow,
+  computeLiveMetrics
+};
@@ -0,0 +1,99 @@
+/**
+ * Mailer
+ * Sends account emails through a pluggable transport selected by MAIL_TRANSPORT.
+ * 'console' and 'file' are built in for development only (they are refused
+ * when NODE_ENV is production); production transports (SMTP, provider APIs)
+ * register themselves with registerTransport.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'HATA <no-reply@hata.local>';
+const APP_URL = (process.env.APP_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const DEVELOPMENT_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Mask the token in links so it never reaches the application logs
+ */
+const maskTokens = text => text.replace(/([?&]token=)([^\s&]+)/g, (match, prefix, token) => `${prefix}${token.slice(0, 4)}…`);
+
+const transports = {
+  // Logged through winston (and its log files), so tokens are masked;
+  // use the file transport to get usable links locally
+  console: async (message) => {
+    logger.info(`Mail to ${message.to}: ${message.subject}\n${maskTokens(message.text)}`);
+  },
+
+  file: async (message) => {
+    const filePath = process.env.MAIL_FILE_PATH || path.join(__dirname, '..', 'logs', 'mail.log');
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.appendFile(filePath, `${JSON.stringify({ ...message, sentAt: new Date() })}\n`);
+  }
+};
+
+/**
+ * Register a transport: an async function receiving { from, to, subject, text }
+ * @param {string} name - Name used in MAIL_TRANSPORT
+ * @param {Function} send - Transport function
+ */
+const registerTransport = (name, send) => {
+  transports[name] = send;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {Object} message - { to, subject, text }
+ */
+const sendMail = async ({ to, subject, text }) => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  const send = transports[name];
+
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+
+  if (process.env.NODE_ENV === 'production' && DEVELOPMENT_TRANSPORTS.includes(name)) {
+    throw new Error(`Mail transport '${name}' is for development only; set MAIL_TRANSPORT to a production transport`);
+  }
+
+  await send({ from: MAIL_FROM, to, subject, text });
+};
+
+/**
+ * Email a password reset link
+ * @param {Object} user - User document
+ * @param {string} token - Raw reset token
+ */
+const sendPasswordResetEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your HATA password',
+    text: `Hello ${user.name},\n\n` +
+      `Use this link to choose a new password:\n${APP_URL}/reset-password?token=${token}\n\n` +
+      'The link can be used once and expires soon. If you did not ask for a reset, ignore this email.'
+  });
+};
+
+/**
+ * Email an address verification link
+ * @param {Object} user - User document
+ * @param {string} token - Raw verification token
+ */
+const sendVerificationEmail = (user, token) => {
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your HATA email address',
+    text: `Hello ${user.name},\n\n` +
+      `Confirm your email address with this link:\n${APP_URL}/verify-email?token=${token}\n`
+  });
+};
+
+module.exports = {
+  registerTransport,
+  sendMail,
+  sendPasswordResetEmail,
+  sendVerificationEmail
+};
@@ -0,0 +1,181 @@
+/**
+ * ML Service Client
+ * HTTP client for the ML service with retries, jittered backoff and a circuit breaker
+ */
+
+const axios = require('axios');
+const logger = require('../utils/logger');
+
+const ML_SERVICE_TIMEOUT = parseInt(process.env.ML_SERVICE_TIMEOUT) || 60000; // allows for cold starts
+const parsedRetries = parseInt(process.env.ML_SERVICE_RETRIES);
+const ML_SERVICE_RETRIES = Number.isNaN(parsedRetries) ? 2 : parsedRetries;
+const ML_RETRY_BASE_DELAY_MS = parseInt(process.env.ML_RETRY_BASE_DELAY_MS) || 500;
+const BREAKER_FAILURE_THRESHOLD = parseInt(process.env.ML_BREAKER_FAILURE_THRESHOLD) || 5;
+const BREAKER_RESET_MS = parseInt(process.env.ML_BREAKER_RESET_MS) || 30000;
+
+// Failures worth retrying: the request never reached or was refused by a healthy service
+const RETRYABLE_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/**
+ * Whether a failed call may be retried
+ */
+const isRetryable = (error) => {
+  if (error.response) {
+    return RETRYABLE_STATUSES.includes(error.response.status);
+  }
+  return RETRYABLE_CODES.includes(error.code);
+};
+
+/**
+ * Whether a failed call counts against the circuit breaker (4xx responses don't)
+ */
+const isServiceFailure = (error) => {
+  return !error.response || error.response.status >= 500;
+};
+
+/**
+ * Exponential backoff with full jitter
+ */
+const backoffDelay = (attempt) => {
+  return Math.round(Math.random() * ML_RETRY_BASE_DELAY_MS * 2 ** attempt);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Create a client for one ML service base URL
+ * @param {Object} options - { name, baseUrl, timeout, retries }
+ */
+const createMlClient = ({ name = 'default', baseUrl, timeout = ML_SERVICE_TIMEOUT, retries = ML_SERVICE_RETRIES }) => {
+  const breaker = {
+    state: 'closed', // closed | open | half_open
+    consecutiveFailures: 0,
+    totalFailures: 0,
+    totalSuccesses: 0,
+    openedAt: null,
+    lastError: null,
+    trialInFlight: false
+  };
+
+  const openBreaker = () => {
+    breaker.state = 'open';
+    breaker.openedAt = Date.now();
+    logger.warn(`ML service circuit opened (${name}): ${breaker.consecutiveFailures} consecutive failures`);
+  };
+
+  const recordSuccess = () => {
+    if (breaker.state !== 'closed') {
+      logger.info(`ML service circuit closed (${name})`);
+    }
+    breaker.state = 'closed';
+    breaker.consecutiveFailures = 0;
+    breaker.totalSuccesses++;
+    breaker.openedAt = null;
+  };
+
+  const recordFailure = (error) => {
+    breaker.consecutiveFailures++;
+    breaker.totalFailures++;
+    breaker.lastError = { message: error.message, code: error.code, at: new Date().toISOString() };
+
+    if (breaker.state === 'half_open' || breaker.consecutiveFailures >= BREAKER_FAILURE_THRESHOLD) {
+      openBreaker();
+    }
+  };
+
+  /**
+   * Throw straight away while the circuit is open; let one trial through after the reset window
+   */
+  const checkBreaker = () => {
+    if (breaker.state === 'open') {
+      const elapsed = Date.now() - breaker.openedAt;
+
+      if (elapsed < BREAKER_RESET_MS || breaker.trialInFlight) {
+        const error = new Error(`ML service circuit is open (${name})`);
+        error.code = 'ML_CIRCUIT_OPEN';
+        error.retryAfter = Math.max(1, Math.ceil((BREAKER_RESET_MS - elapsed) / 1000));
+        throw error;
+      }
+
+      breaker.state = 'half_open';
+    }
+
+    if (breaker.state === 'half_open') {
+      if (breaker.trialInFlight) {
+        const error = new Error(`ML service circuit is half-open (${name})`);
+        error.code = 'ML_CIRCUIT_OPEN';
+        error.retryAfter = 1;
+        throw error;
+      }
+      breaker.trialInFlight = true;
+    }
+  };
+
+  /**
+   * POST to the ML service
+   * @param {string} path - Endpoint path, e.g. '/predict'
+   * @param {Object} payload - Request body
+   * @returns {Object} Response data
+   */
+  const post = async (path, payload) => {
+    checkBreaker();
+
+    const isTrial = breaker.state === 'half_open';
+    const attempts = isTrial ? 1 : retries + 1;
+
+    try {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          const response = await axios.post(`${baseUrl}${path}`, payload, { timeout });
+          recordSuccess();
+          return response.data;
+        } catch (error) {
+          if (attempt + 1 >= attempts || !isRetryable(error)) {
+            if (isServiceFailure(error)) {
+              recordFailure(error);
+            }
+            throw error;
+          }
+
+          const delay = backoffDelay(attempt);
+          logger.warn(`ML service call failed (${name}: ${error.code || error.response?.status}), retrying in ${delay}ms`);
+          await sleep(delay);
+        }
+      }
+    } finally {
+      if (isTrial) {
+        breaker.trialInFlight = false;
+      }
+    }
+  };
+
+  /**
+   * Breaker state and failure counts for health reporting
+   */
+  const getStats = () => ({
+    name,
+    baseUrl,
+    state: breaker.state,
+    consecutiveFailures: breaker.consecutiveFailures,
+    totalFailures: breaker.totalFailures,
+    totalSuccesses: breaker.totalSuccesses,
+    openedAt: breaker.openedAt ? new Date(breaker.openedAt).toISOString() : null,
+    retryAfterSeconds: breaker.state === 'open'
+      ? Math.max(0, Math.ceil((BREAKER_RESET_MS - (Date.now() - breaker.openedAt)) / 1000))
+      : 0,
+    lastError: breaker.lastError,
+    timeout
+  });
+
+  return {
+    name,
+    baseUrl,
+    post,
+    getStats
+  };
+};
+
+module.exports = {
+  createMlClient
+};
@@ -0,0 +1,223 @@
+/**
+ * Model Comparison
+ * Aligns the latest Performance records of two model versions per language,
+ * flags regressions and lists the samples whose prediction flipped
+ */
+
+const mongoose = require('mongoose');
+const Performance = require('../models/Performance');
+const EvaluationResult = require('../models/EvaluationResult');
+
+const QUALITY_METRICS = ['accuracy', 'precision', 'recall', 'f1Score', 'auc'];
+// Lower is better for these
+const FAIRNESS_METRICS = ['eod', 'aaod'];
+
+const DEFAULT_THRESHOLDS = {
+  maxMetricDrop: parseFloat(process.env.REGRESSION_MAX_METRIC_DROP ?? 0.01),
+  maxFairnessIncrease: parseFloat(process.env.REGRESSION_MAX_FAIRNESS_INCREASE ?? 0.02)
+};
+
+/**
+ * Latest Performance record per language for a model version
+ * @param {string} modelVersion - Model version
+ * @param {string} [split] - Restrict to one evaluation split
+ * @returns {Map} language -> Performance
+ */
+const latestByLanguage = async (modelVersion, split) => {
+  const match = { modelVersion };
+  if (split) match.split = split;
+
+  const rows = await Performance.aggregate([
+    { $match: match },
+    { $sort: { evaluationDate: -1 } },
+    { $group: { _id: '$language', performance: { $first: '$$ROOT' } } }
+  ]);
+
+  return new Map(rows.map(row => [row._id, row.performance]));
+};
+
+/**
+ * Absolute and relative change of one metric
+ */
+const delta = (base, candidate) => {
+  if (typeof base !== 'number' || typeof candidate !== 'number') {
+    return { base: base ?? null, candidate: candidate ?? null, absolute: null, relative: null };
+  }
+
+  return {
+    base,
+    candidate,
+    absolute: candidate - base,
+    relative: base !== 0 ? (candidate - base) / base : null
+  };
+};
+
+/**
+ * Compare one language's records and collect its regressions
+ */
+const compareLanguage = (language, base, candidate, thresholds) => {
+  const metrics = {};
+  const fairness = {};
+  const regressions = [];
+
+  QUALITY_METRICS.forEach((metric) => {
+    metrics[metric] = delta(base.metrics?.[metric], candidate.metrics?.[metric]);
+    if (metrics[metric].absolute !== null && -metrics[metric].absolute > thresholds.maxMetricDrop) {
+      regressions.push({ language, metric, ...metrics[metric] });
+    }
+  });
+
+  FAIRNESS_METRICS.forEach((metric) => {
+    fairness[metric] = delta(base.fairnessMetrics?.[metric], candidate.fairnessMetrics?.[metric]);
+    if (fairness[metric].absolute !== null && fairness[metric].absolute > thresholds.maxFairnessIncrease) {
+      regressions.push({ language, metric, ...fairness[metric] });
+    }
+  });
+
+  return {
+    language,
+    split: { base: base.split, candidate: candidate.split },
+    sampleSize: { base: base.sampleSize, candidate: candidate.sampleSize },
+    performanceIds: { base: base._id, candidate: candidate._id },
+    metrics,
+    fairness,
+    regressed: regressions.length > 0,
+    regressions
+  };
+};
+
+/**
+ * Evaluation run behind a version's records ('all' first, then any language)
+ */
+const pickRun = (records) => {
+  const all = records.get('all');
+  if (all?.evaluationRunId) {
+    return { runId: all.evaluationRunId, split: all.split };
+  }
+
+  const withRun = [...records.values()].find(record => record.evaluationRunId);
+  return withRun ? { runId: withRun.evaluationRunId, split: withRun.split } : null;
+};
+
+/**
+ * Samples scored by both runs whose predicted label differs
+ * (a limit of 0 returns only the counts)
+ * @returns {Object} { total, fixed, broken, samples }
+ */
+const findFlippedSamples = async (baseRunId, candidateRunId, limit) => {
+  const baseId = new mongoose.Types.ObjectId(String(baseRunId));
+  const candidateId = new mongoose.Types.ObjectId(String(candidateRunId));
+
+  const facet = {
+    summary: [
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          fixed: { $sum: { $cond: [{ $eq: ['$candidate', '$label'] }, 1, 0] } }
+        }
+      }
+    ]
+  };
+
+  // $limit must be positive, so a limit of 0 only counts
+  if (limit > 0) {
+    facet.samples = [
+      { $sort: { _id: 1 } },
+      { $limit: limit },
+      { $lookup: { from: 'datasets', localField: '_id', foreignField: '_id', as: 'sample' } },
+      {
+        $project: {
+          _id: 0,
+          sampleId: '$_id',
+          text: { $arrayElemAt: ['$sample.text', 0] },
+          language: 1,
+          label: 1,
+          base: { predictedLabel: '$base', confidence: '$baseConfidence' },
+          candidate: { predictedLabel: '$candidate', confidence: '$candidateConfidence' },
+          change: { $cond: [{ $eq: ['$candidate', '$label'] }, 'fixed', 'broken'] }
+        }
+      }
+    ];
+  }
+
+  const [result] = await EvaluationResult.aggregate([
+    { $match: { runId: { $in: [baseId, candidateId] }, error: { $exists: false } } },
+    {
+      $group: {
+        _id: '$sampleId',
+        language: { $first: '$language' },
+        label: { $first: '$label' },
+        base: { $max: { $cond: [{ $eq: ['$runId', baseId] }, '$predictedLabel', null] } },
+        candidate: { $max: { $cond: [{ $eq: ['$runId', candidateId] }, '$predictedLabel', null] } },
+        baseConfidence: { $max: { $cond: [{ $eq: ['$runId', baseId] }, '$confidence', null] } },
+        candidateConfidence: { $max: { $cond: [{ $eq: ['$runId', candidateId] }, '$confidence', null] } },
+        runs: { $sum: 1 }
+      }
+    },
+    { $match: { runs: 2, $expr: { $ne: ['$base', '$candidate'] } } },
+    { $facet: facet }
+  ]);
+
+  const summary = result.summary[0] || { total: 0, fixed: 0 };
+
+  return {
+    total: summary.total,
+    fixed: summary.fixed,
+    broken: summary.total - summary.fixed,
+    samples: result.samples || []
+  };
+};
+
+/**
+ * Compare two model versions
+ * @param {Object} options - { base, candidate, split, thresholds, flipLimit }
+ */
+const compareModels = async ({ base, candidate, split, thresholds = {}, flipLimit = 50 }) => {
+  const limits = { ...DEFAULT_THRESHOLDS, ...thresholds };
+
+  const [baseRecords, candidateRecords] = await Promise.all([
+    latestByLanguage(base, split),
+    latestByLanguage(candidate, split)
+  ]);
+
+  const languages = [...baseRecords.keys()].filter(language => candidateRecords.has(language));
+  const comparisons = languages
+    .sort((a, b) => (a === 'all' ? -1 : b === 'all' ? 1 : a.localeCompare(b)))
+    .map(language => compareLanguage(language, baseRecords.get(language), candidateRecords.get(language), limits));
+
+  const baseRun = pickRun(baseRecords);
+  const candidateRun = pickRun(candidateRecords);
+
+  // Flips only make sense when both versions scored the same samples
+  let flips = null;
+  if (baseRun && candidateRun && baseRun.split && baseRun.split === candidateRun.split) {
+    flips = {
+      split: baseRun.split,
+      runIds: { base: baseRun.runId, candidate: candidateRun.runId },
+      ...(await findFlippedSamples(baseRun.runId, candidateRun.runId, flipLimit))
+    };
+  }
+
+  const regressions = comparisons.flatMap(comparison => comparison.regressions);
+
+  return {
+    base,
+    candidate,
+    thresholds: limits,
+    regressed: regressions.length > 0,
+    regressions,
+    languages: comparisons,
+    unmatchedLanguages: {
+      base: [...baseRecords.keys()].filter(language => !candidateRecords.has(language)),
+      candidate: [...candidateRecords.keys()].filter(language => !baseRecords.has(language))
+    },
+    flips
+  };
+};
+
+module.exports = {
+  QUALITY_METRICS,
+  FAIRNESS_METRICS,
+  compareModels
+};
@@ -0,0 +1,143 @@
+/**
+ * Model Registry
+ * Known ML backends, the languages they serve and their share of traffic
+ *
+ * Configured with ML_MODEL_REGISTRY as a JSON array, e.g.
+ * [{ "version": "v1.0", "url": "https://...", "languages": ["ha","yo","ig","pcm"], "weight": 90 },
+ *  { "version": "v1.1-yo", "url": "https://...", "languages": ["yo"], "weight": 10 },
+ *  { "version": "v1.2", "url": "https://...", "shadow": true }]
+ * Shadow entries never serve live traffic; they score copies of it (see shadowEvaluation).
+ * Without it, ML_SERVICE_URL / ML_MODEL_VERSION form a single entry.
+ */
+
+const { createMlClient } = require('./mlClient');
+const logger = require('../utils/logger');
+
+const ALL_LANGUAGES = ['ha', 'yo', 'ig', 'pcm'];
+
+/**
+ * Read registry entries from the environment
+ */
+const loadEntries = () => {
+  const fallback = [{
+    version: process.env.ML_MODEL_VERSION || 'v1.0',
+    url: process.env.ML_SERVICE_URL || 'http://localhost:5000',
+    languages: ALL_LANGUAGES,
+    weight: 1
+  }];
+
+  if (!process.env.ML_MODEL_REGISTRY) {
+    return fallback;
+  }
+
+  try {
+    const entries = JSON.parse(process.env.ML_MODEL_REGISTRY);
+    if (!Array.isArray(entries) || entries.length === 0) {
+      throw new Error('expected a non-empty array');
+    }
+    return entries;
+  } catch (error) {
+    logger.error(`Invalid ML_MODEL_REGISTRY (${error.message}) - using ML_SERVICE_URL only`);
+    return fallback;
+  }
+};
+
+const models = loadEntries().map(entry => {
+  const baseUrl = String(entry.url).trim();
+  return {
+    version: String(entry.version),
+    baseUrl,
+    languages: Array.isArray(entry.languages) && entry.languages.length ? entry.languages : ALL_LANGUAGES,
+    weight: Number(entry.weight ?? 1),
+    shadow: entry.shadow === true,
+    client: createMlClient({ name: String(entry.version), baseUrl })
+  };
+});
+
+logger.info(`Model registry: ${models.map(model => `${model.version} (${model.shadow ? 'shadow' : `w=${model.weight}`}, ${model.languages.join('/')})`).join(', ')}`);
+
+/**
+ * Error for an unknown or unsupported model version
+ */
+const modelError = (message) => {
+  const error = new Error(message);
+  error.code = 'MODEL_NOT_AVAILABLE';
+  return error;
+};
+
+/**
+ * Find a registered model by version
+ * @param {string} version - Model version name
+ */
+const getModel = (version) => {
+  return models.find(model => model.version === version);
+};
+
+/**
+ * Pick the backend for a request: the requested (non-shadow) version, or a weighted
+ * random choice among the models serving the language
+ * @param {string} language - Language code
+ * @param {string} [requestedVersion] - Explicit model version
+ */
+const selectModel = (language, requestedVersion) => {
+  if (requestedVersion) {
+    const model = getModel(requestedVersion);
+    if (!model) {
+      throw modelError(`Unknown model version: ${requestedVersion}`);
+    }
+    if (model.shadow) {
+      throw modelError(`Model ${requestedVersion} is a shadow model and does not serve live traffic`);
+    }
+    if (!model.languages.includes(language)) {
+      throw modelError(`Model ${requestedVersion} does not support language: ${language}`);
+    }
+    return model;
+  }
+
+  const candidates = models.filter(model => !model.shadow && model.weight > 0 && model.languages.includes(language));
+  if (candidates.length === 0) {
+    throw modelError(`No model serves language: ${language}`);
+  }
+
+  const totalWeight = candidates.reduce((sum, model) => sum + model.weight, 0);
+  let pick = Math.random() * totalWeight;
+
+  for (const model of candidates) {
+    pick -= model.weight;
+    if (pick < 0) {
+      return model;
+    }
+  }
+
+  return candidates[candidates.length - 1];
+};
+
+/**
+ * Shadow models that serve a language
+ * @param {string} language - Language code
+ */
+const getShadowModels = (language) => {
+  return models.filter(model => model.shadow && model.languages.includes(language));
+};
+
+/**
+ * Registry entries without their clients
+ */
+const listModels = () => {
+  return models.map(({ version, baseUrl, languages, weight, shadow }) => ({ version, baseUrl, languages, weight, shadow }));
+};
+
+/**
+ * Circuit breaker state of every backend
+ */
+const getRegistryStats = () => {
+  return models.map(model => model.client.getStats());
+};
+
+module.exports = {
+  getModel,
+  selectModel,
+  getShadowModels,
+  listModels,
+  getRegistryStats
+};
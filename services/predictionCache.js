@@ -0,0 +1,129 @@
+/**
+ * Prediction Cache
+ * Caches ML service results in Redis, or in memory when Redis is disabled
+ */
+
+const crypto = require('crypto');
+const { getRedisClient } = require('../config/redis');
+const { createLruCache } = require('../utils/lruCache');
+const logger = require('../utils/logger');
+
+const CACHE_PREFIX = 'hata:prediction:';
+const CACHE_TTL_SECONDS = parseInt(process.env.PREDICTION_CACHE_TTL) || 24 * 60 * 60;
+const CACHE_ENABLED = process.env.PREDICTION_CACHE_ENABLED !== 'false';
+
+const memoryCache = createLruCache({
+  maxEntries: parseInt(process.env.PREDICTION_CACHE_MAX_ENTRIES) || 1000,
+  ttlMs: CACHE_TTL_SECONDS * 1000
+});
+
+/**
+ * Redis client when it is connected and ready, otherwise null
+ */
+const getReadyRedis = () => {
+  const client = getRedisClient();
+  return client && client.isReady ? client : null;
+};
+
+/**
+ * Normalize text so trivial whitespace/Unicode differences share a cache entry
+ */
+const normalizeText = (text) => {
+  return text.normalize('NFC').trim().replace(/\s+/g, ' ');
+};
+
+/**
+ * Cache key from normalized text, language and model version
+ */
+const buildCacheKey = (text, language, modelVersion) => {
+  const hash = crypto.createHash('sha256')
+    .update(`${modelVersion}\u0000${language}\u0000${normalizeText(text)}`)
+    .digest('hex');
+  return `${CACHE_PREFIX}${hash}`;
+};
+
+/**
+ * Look up a cached ML service result
+ * @returns {Object|undefined} Cached ML result
+ */
+const getCachedResult = async (text, language, modelVersion) => {
+  if (!CACHE_ENABLED) {
+    return undefined;
+  }
+
+  const key = buildCacheKey(text, language, modelVersion);
+  const redis = getReadyRedis();
+
+  if (redis) {
+    try {
+      const cached = await redis.get(key);
+      return cached ? JSON.parse(cached) : undefined;
+    } catch (error) {
+      logger.warn(`Prediction cache read failed: ${error.message}`);
+    }
+  }
+
+  return memoryCache.get(key);
+};
+
+/**
+ * Store an ML service result
+ */
+const setCachedResult = async (text, language, modelVersion, mlResult) => {
+  if (!CACHE_ENABLED) {
+    return;
+  }
+
+  const key = buildCacheKey(text, language, modelVersion);
+  const redis = getReadyRedis();
+
+  if (redis) {
+    try {
+      await redis.set(key, JSON.stringify(mlResult), { EX: CACHE_TTL_SECONDS });
+      return;
+    } catch (error) {
+      logger.warn(`Prediction cache write failed: ${error.message}`);
+    }
+  }
+
+  memoryCache.set(key, mlResult);
+};
+
+/**
+ * Remove every cached prediction (e.g. after a model deploy)
+ * @returns {Object} { redis, memory } number of entries removed
+ */
+const flushPredictionCache = async () => {
+  let redisDeleted = 0;
+  const redis = getReadyRedis();
+
+  if (redis) {
+    // Only our own keys - never FLUSHDB a shared instance
+    for await (const key of redis.scanIterator({ MATCH: `${CACHE_PREFIX}*`, COUNT: 500 })) {
+      redisDeleted += await redis.del(key);
+    }
+  }
+
+  const memoryDeleted = memoryCache.clear();
+
+  logger.info(`Prediction cache flushed: ${redisDeleted} redis, ${memoryDeleted} memory entries`);
+
+  return { redis: redisDeleted, memory: memoryDeleted };
+};
+
+/**
+ * Current cache backend and size
+ */
+const getPredictionCacheStats = () => ({
+  enabled: CACHE_ENABLED,
+  backend: getReadyRedis() ? 'redis' : 'memory',
+  ttlSeconds: CACHE_TTL_SECONDS,
+  memoryEntries: memoryCache.size()
+});
+
+module.exports = {
+  getCachedResult,
+  setCachedResult,
+  flushPredictionCache,
+  getPredictionCacheStats
+};
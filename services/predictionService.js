@@ -0,0 +1,173 @@
+/**
+ * Prediction Service
+ * Calls the ML service and persists prediction results
+ */
+
+const Prediction = require('../models/Prediction');
+const { getCachedResult, setCachedResult } = require('./predictionCache');
+const { selectModel, getRegistryStats } = require('./modelRegistry');
+const logger = require('../utils/logger');
+
+const LANGUAGE_NAMES = {
+  ha: 'Hausa',
+  yo: 'Yoruba',
+  ig: 'Igbo',
+  pcm: 'Pidgin'
+};
+
+/**
+ * Get the display name for a language code
+ * @param {string} language - Language code
+ */
+const getLanguageName = (language) => {
+  return LANGUAGE_NAMES[language] || 'Pidgin';
+};
+
+/**
+ * Send a text to an ML backend
+ * ML Service returns: { prediction, explanation, biasScore, language_name, processing_time }
+ * @param {Object} model - Registry entry from selectModel()
+ */
+const callMlService = async (model, text, language) => {
+  return model.client.post('/predict', { text, language });
+};
+
+/**
+ * Circuit breaker state of every ML backend
+ */
+const getMlServiceStats = () => {
+  return getRegistryStats();
+};
+
+/**
+ * Build an unsaved Prediction document from an ML service result
+ */
+const buildPrediction = ({ text, language, mlResult, processingTime, userId, metadata = {} }) => {
+  const confidence = mlResult.prediction?.confidence || 0;
+  const predictedClass = mlResult.prediction?.label || 0;
+
+  // Use ML service results for explanation and bias score
+  const explanation = mlResult.explanation || {
+    tokens: text.split(/\s+/).slice(0, 50),
+    importances: [],
+    method: "ml-service",
+    status: "success"
+  };
+
+  const biasScore = mlResult.biasScore || {
+    gender: 0,
+    ethnic: 0,
+    religious: 0,
+    overall: 0
+  };
+
+  return new Prediction({
+    text,
+    language,
+    prediction: {
+      label: predictedClass,
+      label_text: predictedClass === 1 ? "AI-generated" : "Human-written",
+      confidence: confidence,
+      probabilities: mlResult.prediction?.probabilities || [
+        predictedClass === 0 ? confidence : 1 - confidence,
+        predictedClass === 1 ? confidence : 1 - confidence
+      ]
+    },
+    explanation,
+    biasScore,
+    userId,
+    metadata: {
+      ...metadata,
+      processingTime,
+      source: "ml-service"
+    }
+  });
+};
+
+/**
+ * Score a text through the ML service (or the prediction cache) and save the resulting Prediction
+ * @param {Object} params - { text, language, userId, metadata, useCache, modelVersion }
+ *   modelVersion pins a registry entry; otherwise one is picked by traffic weight
+ * @returns {Object} { prediction, mlResult, processingTime, cached, modelVersion }
+ */
+const createPrediction = async ({ text, language, userId, metadata, useCache = true, modelVersion: requestedVersion }) => {
+  const startTime = Date.now();
+  const model = selectModel(language, requestedVersion);
+  const modelVersion = model.version;
+
+  let mlResult = useCache ? await getCachedResult(text, language, modelVersion) : undefined;
+  const cached = Boolean(mlResult);
+
+  if (!cached) {
+    mlResult = await callMlService(model, text, language);
+    await setCachedResult(text, language, modelVersion, mlResult);
+  }
+
+  const processingTime = Date.now() - startTime;
+
+  const prediction = buildPrediction({
+    text,
+    language,
+    mlResult,
+    processingTime,
+    userId,
+    metadata: {
+      ...metadata,
+      modelVersion,
+      cached
+    }
+  });
+
+  await prediction.save();
+
+  return { prediction, mlResult, processingTime, cached, modelVersion };
+};
+
+/**
+ * Map an ML service error to an HTTP status and message
+ * @param {Error} error - Error thrown by axios or mongoose
+ */
+const describeMlError = (error) => {
+  if (error.code === 'MODEL_NOT_AVAILABLE') {
+    return { status: 400, error: error.message };
+  }
+
+  if (error.code === 'ML_CIRCUIT_OPEN') {
+    return {
+      status: 503,
+      error: 'ML service is unavailable - failing fast while it recovers',
+      retryAfter: error.retryAfter
+    };
+  }
+
+  if (error.code === 'ECONNREFUSED') {
+    return { status: 503, error: 'ML service is unavailable - connection refused' };
+  }
+
+  if (error.code === 'ECONNABORTED' || error.message.includes('timeout')) {
+    return { status: 504, error: 'ML service timeout - request took too long' };
+  }
+
+  return { status: 500, error: 'Prediction failed', details: error.message };
+};
+
+/**
+ * Log the details of a failed ML service call
+ */
+const logMlError = (error) => {
+  logger.error(`Prediction error: ${error.message}`);
+  logger.error(`Error code: ${error.code}`);
+  logger.error(`Error status: ${error.response?.status}`);
+  logger.error(`Error data: ${JSON.stringify(error.response?.data)}`);
+  logger.error(`ML Service URL: ${error.config?.url}`);
+};
+
+module.exports = {
+  getLanguageName,
+  callMlService,
+  getMlServiceStats,
+  buildPrediction,
+  createPrediction,
+  describeMlError,
+  logMlError
+};
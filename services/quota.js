@@ -0,0 +1,201 @@
+/**
+ * Quota Service
+ * Per-role request budgets (predict and read endpoints, per rate-limit window)
+ * and daily character quotas for text sent to the ML service.
+ * Counters live in Redis when it is ready, in process memory otherwise.
+ */
+
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const COUNTER_PREFIX = 'hata:quota:';
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Expired in-memory counters are swept once the map grows past this size
+const MEMORY_SWEEP_THRESHOLD = 10000;
+
+const QUOTA_ROLES = ['anonymous', 'user', 'researcher', 'admin'];
+
+const DEFAULT_BUDGETS = {
+  anonymous: { predict: 20, read: parseInt(process.env.RATE_LIMIT_MAX_REQUESTS) || 100, dailyCharacters: 50000 },
+  user: { predict: 100, read: 300, dailyCharacters: 500000 },
+  researcher: { predict: 500, read: 1000, dailyCharacters: 5000000 },
+  admin: { predict: 2000, read: 5000, dailyCharacters: 20000000 }
+};
+
+/**
+ * Budgets per role, overridable with QUOTA_<ROLE>_PREDICT, QUOTA_<ROLE>_READ
+ * and QUOTA_<ROLE>_DAILY_CHARS. A value of 0 means unlimited.
+ */
+const QUOTA_BUDGETS = Object.fromEntries(QUOTA_ROLES.map(role => {
+  const env = name => {
+    const value = parseInt(process.env[`QUOTA_${role.toUpperCase()}_${name}`]);
+    return Number.isNaN(value) ? undefined : value;
+  };
+  const defaults = DEFAULT_BUDGETS[role];
+  return [role, {
+    predict: env('PREDICT') ?? defaults.predict,
+    read: env('READ') ?? defaults.read,
+    dailyCharacters: env('DAILY_CHARS') ?? defaults.dailyCharacters
+  }];
+}));
+
+const memoryCounters = new Map();
+
+/**
+ * Redis client when it is connected and ready, otherwise null
+ */
+const getReadyRedis = () => {
+  const client = getRedisClient();
+  return client && client.isReady ? client : null;
+};
+
+/**
+ * Fixed window a timestamp falls in: request buckets use RATE_LIMIT_WINDOW_MS,
+ * character quotas reset at midnight UTC
+ * @param {string} bucket - 'predict', 'read' or 'characters'
+ * @returns {Object} { start, resetAt } as epoch milliseconds
+ */
+const currentWindow = (bucket, now = Date.now()) => {
+  const length = bucket === 'characters' ? DAY_MS : WINDOW_MS;
+  const start = Math.floor(now / length) * length;
+  return { start, resetAt: start + length };
+};
+
+const counterKey = (bucket, identity, start) => `${COUNTER_PREFIX}${bucket}:${identity}:${start}`;
+
+const sweepMemoryCounters = (now) => {
+  for (const [key, entry] of memoryCounters) {
+    if (entry.expiresAt <= now) {
+      memoryCounters.delete(key);
+    }
+  }
+};
+
+/**
+ * Add to a counter that expires at resetAt (a negative amount refunds)
+ * @returns {number} Counter value after the change
+ */
+const incrementCounter = async (key, amount, resetAt) => {
+  const redis = getReadyRedis();
+  if (redis) {
+    try {
+      const value = await redis.incrBy(key, amount);
+      if (value === amount) {
+        // First write in this window sets the expiry
+        await redis.pExpireAt(key, resetAt);
+      }
+      return value;
+    } catch (error) {
+      logger.warn(`Quota counter write failed, using memory: ${error.message}`);
+    }
+  }
+
+  const now = Date.now();
+  if (memoryCounters.size > MEMORY_SWEEP_THRESHOLD) {
+    sweepMemoryCounters(now);
+  }
+
+  const entry = memoryCounters.get(key);
+  const value = (entry && entry.expiresAt > now ? entry.value : 0) + amount;
+  memoryCounters.set(key, { value, expiresAt: resetAt });
+  return value;
+};
+
+/**
+ * Current value of a counter
+ */
+const readCounter = async (key) => {
+  const redis = getReadyRedis();
+  if (redis) {
+    try {
+      return parseInt(await redis.get(key)) || 0;
+    } catch (error) {
+      logger.warn(`Quota counter read failed, using memory: ${error.message}`);
+    }
+  }
+
+  const entry = memoryCounters.get(key);
+  return entry && entry.expiresAt > Date.now() ? entry.value : 0;
+};
+
+/**
+ * Budget of a role for a bucket ('predict', 'read' or 'characters')
+ * @returns {number} Limit, 0 when unlimited
+ */
+const getLimit = (role, bucket) => {
+  const budgets = QUOTA_BUDGETS[role] || QUOTA_BUDGETS.anonymous;
+  return bucket === 'characters' ? budgets.dailyCharacters : budgets[bucket];
+};
+
+/**
+ * Charge an amount against a client's budget. Charges that would exceed the
+ * limit are refunded, so rejected requests do not use up quota.
+ * @param {Object} client - { identity, role } from the rate limiter
+ * @param {string} bucket - 'predict', 'read' or 'characters'
+ * @param {number} amount - Requests or characters to charge
+ * @returns {Object} { allowed, limit, used, remaining, resetAt }
+ */
+const consumeQuota = async ({ identity, role }, bucket, amount = 1) => {
+  const limit = getLimit(role, bucket);
+  const { start, resetAt } = currentWindow(bucket);
+
+  if (!limit) {
+    return { allowed: true, limit: null, used: null, remaining: null, resetAt: null };
+  }
+
+  const key = counterKey(bucket, identity, start);
+  const used = await incrementCounter(key, amount, resetAt);
+
+  if (used > limit) {
+    const refunded = await incrementCounter(key, -amount, resetAt);
+    return { allowed: false, limit, used: refunded, remaining: Math.max(0, limit - refunded), resetAt };
+  }
+
+  return { allowed: true, limit, used, remaining: limit - used, resetAt };
+};
+
+/**
+ * Give back an amount charged earlier in the current window
+ * (e.g. requests whose other budget turned out to be exhausted)
+ */
+const refundQuota = async ({ identity, role }, bucket, amount = 1) => {
+  if (!getLimit(role, bucket)) {
+    return;
+  }
+  const { start, resetAt } = currentWindow(bucket);
+  await incrementCounter(counterKey(bucket, identity, start), -amount, resetAt);
+};
+
+/**
+ * Remaining budgets of a client, without charging anything
+ * @param {Object} client - { identity, role }
+ * @returns {Object} { predict, read, characters } each { limit, used, remaining, resetAt }
+ */
+const getQuotaStatus = async ({ identity, role }) => {
+  const buckets = ['predict', 'read', 'characters'];
+
+  const entries = await Promise.all(buckets.map(async (bucket) => {
+    const limit = getLimit(role, bucket);
+    const { start, resetAt } = currentWindow(bucket);
+    const used = await readCounter(counterKey(bucket, identity, start));
+
+    return [bucket, {
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      resetAt: new Date(resetAt)
+    }];
+  }));
+
+  return Object.fromEntries(entries);
+};
+
+module.exports = {
+  QUOTA_ROLES,
+  QUOTA_BUDGETS,
+  getLimit,
+  consumeQuota,
+  refundQuota,
+  getQuotaStatus
+};
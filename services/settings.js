@@ -0,0 +1,73 @@
+/**
+ * Runtime Settings
+ * Admin-editable settings with environment defaults, cached briefly in memory
+ */
+
+const Setting = require('../models/Setting');
+
+// Known settings: their type and the default used until an admin sets them
+const SETTING_DEFINITIONS = {
+  requireVerifiedEmailForResearchers: {
+    type: 'boolean',
+    default: process.env.REQUIRE_VERIFIED_EMAIL_FOR_RESEARCHERS === 'true'
+  }
+};
+
+const CACHE_TTL_MS = 30000;
+let cache = null;
+let cachedAt = 0;
+
+/**
+ * All settings with defaults applied
+ */
+const getSettings = async () => {
+  if (cache && Date.now() - cachedAt < CACHE_TTL_MS) {
+    return cache;
+  }
+
+  const stored = await Setting.find({ key: { $in: Object.keys(SETTING_DEFINITIONS) } }).lean();
+  const values = Object.fromEntries(Object.entries(SETTING_DEFINITIONS).map(([key, definition]) => [key, definition.default]));
+  stored.forEach((setting) => {
+    values[setting.key] = setting.value;
+  });
+
+  cache = values;
+  cachedAt = Date.now();
+  return values;
+};
+
+/**
+ * One setting's current value
+ * @param {string} key - Setting key
+ */
+const getSetting = async (key) => (await getSettings())[key];
+
+/**
+ * Store settings; unknown keys or wrongly typed values are rejected
+ * @param {Object} updates - { key: value }
+ * @param {string} userId - Admin making the change
+ */
+const updateSettings = async (updates, userId) => {
+  const invalid = Object.entries(updates).filter(([key, value]) =>
+    !SETTING_DEFINITIONS[key] || typeof value !== SETTING_DEFINITIONS[key].type
+  );
+  if (invalid.length > 0) {
+    const error = new Error(`Invalid settings: ${invalid.map(([key]) => key).join(', ')}`);
+    error.code = 'INVALID_SETTING';
+    throw error;
+  }
+
+  await Promise.all(Object.entries(updates).map(([key, value]) =>
+    Setting.updateOne({ key }, { $set: { value, updatedBy: userId } }, { upsert: true })
+  ));
+
+  cache = null;
+  return getSettings();
+};
+
+module.exports = {
+  SETTING_DEFINITIONS,
+  getSettings,
+  getSetting,
+  updateSettings
+};
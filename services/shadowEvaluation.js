@@ -0,0 +1,136 @@
+/**
+ * Shadow Evaluation
+ * Scores live requests on candidate (shadow) models without affecting the response
+ */
+
+const Prediction = require('../models/Prediction');
+const { getShadowModels } = require('./modelRegistry');
+const logger = require('../utils/logger');
+
+const SHADOW_SAMPLE_RATE = parseFloat(process.env.ML_SHADOW_SAMPLE_RATE ?? 1);
+
+/**
+ * Score one text on one shadow model and attach the result to the primary Prediction
+ */
+const runShadowModel = async (model, predictionId, text, language) => {
+  const startTime = Date.now();
+  let shadowResult;
+
+  try {
+    const mlResult = await model.client.post('/predict', { text, language });
+    shadowResult = {
+      modelVersion: model.version,
+      label: mlResult.prediction?.label || 0,
+      confidence: mlResult.prediction?.confidence || 0,
+      probabilities: mlResult.prediction?.probabilities,
+      latencyMs: Date.now() - startTime
+    };
+  } catch (error) {
+    shadowResult = {
+      modelVersion: model.version,
+      latencyMs: Date.now() - startTime,
+      error: error.code || error.message
+    };
+  }
+
+  await Prediction.updateOne({ _id: predictionId }, { $push: { shadowResults: shadowResult } });
+};
+
+/**
+ * Send a request to every shadow model serving its language.
+ * Fire-and-forget: never awaited by the caller and never throws.
+ * @param {Object} prediction - Saved primary Prediction
+ */
+const dispatchShadowPredictions = (prediction) => {
+  const models = getShadowModels(prediction.language);
+
+  if (models.length === 0 || Math.random() >= SHADOW_SAMPLE_RATE) {
+    return;
+  }
+
+  Promise.all(models.map(model => runShadowModel(model, prediction._id, prediction.text, prediction.language)))
+    .catch(error => logger.warn(`Shadow prediction error for ${prediction._id}: ${error.message}`));
+};
+
+/**
+ * Compare primary and shadow results per language and shadow model
+ * @param {Object} options - { since, language, modelVersion }
+ */
+const buildShadowReport = async ({ since, language, modelVersion } = {}) => {
+  const match = { 'shadowResults.0': { $exists: true } };
+  if (since) match.timestamp = { $gte: since };
+  if (language) match.language = language;
+
+  const shadowMatch = modelVersion ? { 'shadowResults.modelVersion': modelVersion } : {};
+
+  return Prediction.aggregate([
+    { $match: match },
+    { $unwind: '$shadowResults' },
+    { $match: shadowMatch },
+    {
+      $group: {
+        _id: {
+          language: '$language',
+          primaryVersion: { $ifNull: ['$metadata.modelVersion', 'v1.0'] },
+          shadowVersion: '$shadowResults.modelVersion'
+        },
+        count: { $sum: 1 },
+        errors: { $sum: { $cond: [{ $ifNull: ['$shadowResults.error', false] }, 1, 0] } },
+        agreements: {
+          $sum: {
+            $cond: [
+              {
+                $and: [
+                  { $not: [{ $ifNull: ['$shadowResults.error', false] }] },
+                  { $eq: ['$shadowResults.label', '$prediction.label'] }
+                ]
+              },
+              1,
+              0
+            ]
+          }
+        },
+        avgConfidenceDelta: {
+          $avg: {
+            $cond: [
+              { $ifNull: ['$shadowResults.error', false] },
+              null,
+              { $subtract: ['$shadowResults.confidence', '$prediction.confidence'] }
+            ]
+          }
+        },
+        avgAbsConfidenceDelta: {
+          $avg: {
+            $cond: [
+              { $ifNull: ['$shadowResults.error', false] },
+              null,
+              { $abs: { $subtract: ['$shadowResults.confidence', '$prediction.confidence'] } }
+            ]
+          }
+        },
+        // Cache hits have no real primary latency
+        avgPrimaryLatencyMs: {
+          $avg: { $cond: ['$metadata.cached', null, '$metadata.processingTime'] }
+        },
+        avgShadowLatencyMs: { $avg: '$shadowResults.latencyMs' }
+      }
+    },
+    {
+      $addFields: {
+        agreementRate: {
+          $cond: [
+            { $gt: [{ $subtract: ['$count', '$errors'] }, 0] },
+            { $divide: ['$agreements', { $subtract: ['$count', '$errors'] }] },
+            null
+          ]
+        }
+      }
+    },
+    { $sort: { '_id.shadowVersion': 1, '_id.language': 1 } }
+  ]);
+};
+
+module.exports = {
+  dispatchShadowPredictions,
+  buildShadowReport
+};
@@ -0,0 +1,174 @@
+/**
+ * Split Assignment Service
+ * Assigns train/validation/test splits stratified by language, label and domain
+ */
+
+const crypto = require('crypto');
+const Dataset = require('../models/Dataset');
+const logger = require('../utils/logger');
+
+const SPLITS = ['train', 'validation', 'test'];
+const DEFAULT_RATIOS = { train: 0.8, validation: 0.1, test: 0.1 };
+const WRITE_CHUNK_SIZE = 1000;
+
+/**
+ * Split `total` into integer parts proportional to `weights` (largest remainder)
+ * @param {number} total - Amount to distribute
+ * @param {Object} weights - { split: weight }
+ */
+const apportion = (total, weights) => {
+  const weightSum = SPLITS.reduce((sum, split) => sum + (weights[split] || 0), 0);
+  const parts = {};
+  const remainders = [];
+  let assigned = 0;
+
+  SPLITS.forEach((split) => {
+    const exact = weightSum > 0 ? (total * (weights[split] || 0)) / weightSum : 0;
+    parts[split] = Math.floor(exact);
+    assigned += parts[split];
+    remainders.push({ split, remainder: exact - parts[split] });
+  });
+
+  // Ties go to the smaller evaluation splits first so they are never starved
+  remainders
+    .sort((a, b) => b.remainder - a.remainder || SPLITS.indexOf(b.split) - SPLITS.indexOf(a.split))
+    .slice(0, total - assigned)
+    .forEach(({ split }) => { parts[split]++; });
+
+  return parts;
+};
+
+/**
+ * Deterministic sort key for a sample under a seed
+ */
+const seededKey = (seed, id) => {
+  return crypto.createHash('sha256').update(`${seed}:${id}`).digest('hex');
+};
+
+/**
+ * Whether a sample already has a split to keep. Samples put in validation/test
+ * before splitAssignedAt existed have no timestamp but must not move (they
+ * could leak evaluation items into train); only 'train', the schema default,
+ * is ambiguous and treated as unassigned.
+ */
+const hasAssignedSplit = sample => Boolean(sample.splitAssignedAt) || (sample.split && sample.split !== 'train');
+
+/**
+ * Assign splits to every stratum of the Dataset collection
+ * @param {Object} options - { ratios, seed, reshuffle, dryRun }
+ * @returns {Object} { assigned, kept, distribution }
+ */
+const assignSplits = async ({ ratios = DEFAULT_RATIOS, seed = '42', reshuffle = false, dryRun = false } = {}) => {
+  const samples = await Dataset.find()
+    .select('language label metadata.domain split splitAssignedAt')
+    .lean();
+
+  // Group samples into language/label/domain strata
+  const strata = new Map();
+  samples.forEach((sample) => {
+    const domain = sample.metadata?.domain || 'other';
+    const key = `${sample.language}|${sample.label}|${domain}`;
+
+    if (!strata.has(key)) {
+      strata.set(key, { language: sample.language, label: sample.label, domain, samples: [] });
+    }
+    strata.get(key).samples.push(sample);
+  });
+
+  const updates = [];
+  const legacy = [];
+  const table = [];
+  let kept = 0;
+
+  strata.forEach((stratum) => {
+    const counts = { train: 0, validation: 0, test: 0 };
+    const unassigned = [];
+
+    stratum.samples.forEach((sample) => {
+      if (!reshuffle && hasAssignedSplit(sample)) {
+        counts[sample.split]++;
+        kept++;
+        if (!sample.splitAssignedAt) {
+          // Stamp legacy assignments so they are recorded like new ones
+          legacy.push({ _id: sample._id, split: sample.split });
+        }
+      } else {
+        unassigned.push(sample);
+      }
+    });
+
+    // Fill whatever each split is short of its target
+    const targets = apportion(stratum.samples.length, ratios);
+    const needs = SPLITS.reduce((acc, split) => {
+      acc[split] = Math.max(0, targets[split] - counts[split]);
+      return acc;
+    }, {});
+    const allocation = apportion(unassigned.length, needs);
+
+    const ordered = unassigned
+      .map(sample => ({ sample, key: seededKey(seed, sample._id) }))
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+      .map(({ sample }) => sample);
+
+    let cursor = 0;
+    ['test', 'validation', 'train'].forEach((split) => {
+      ordered.slice(cursor, cursor + allocation[split]).forEach((sample) => {
+        updates.push({ _id: sample._id, split });
+      });
+      cursor += allocation[split];
+      counts[split] += allocation[split];
+    });
+
+    table.push({
+      language: stratum.language,
+      label: stratum.label,
+      domain: stratum.domain,
+      total: stratum.samples.length,
+      ...counts
+    });
+  });
+
+  if (!dryRun) {
+    const assignedAt = new Date();
+    const writes = [...updates, ...legacy];
+    for (let i = 0; i < writes.length; i += WRITE_CHUNK_SIZE) {
+      await Dataset.bulkWrite(writes.slice(i, i + WRITE_CHUNK_SIZE).map(({ _id, split }) => ({
+        updateOne: {
+          filter: { _id },
+          update: { $set: { split, splitAssignedAt: assignedAt } }
+        }
+      })));
+    }
+  }
+
+  // Roll strata up per language for a quick balance check
+  const byLanguage = {};
+  table.forEach((row) => {
+    const entry = byLanguage[row.language] || { train: 0, validation: 0, test: 0, total: 0 };
+    SPLITS.forEach((split) => { entry[split] += row[split]; });
+    entry.total += row.total;
+    byLanguage[row.language] = entry;
+  });
+
+  table.sort((a, b) => a.language.localeCompare(b.language) || a.label - b.label || a.domain.localeCompare(b.domain));
+
+  logger.info(`Split assignment (seed ${seed}${dryRun ? ', dry run' : ''}): ${updates.length} assigned, ${kept} kept`);
+
+  return {
+    seed,
+    ratios,
+    reshuffle,
+    dryRun,
+    assigned: updates.length,
+    kept,
+    distribution: {
+      byLanguage,
+      byStratum: table
+    }
+  };
+};
+
+module.exports = {
+  DEFAULT_RATIOS,
+  assignSplits
+};
@@ -0,0 +1,119 @@
+/**
+ * Prediction Time Series
+ * Buckets prediction counts, confidence, label ratio and bias by hour, day or week,
+ * with empty buckets filled so charts render without gaps
+ */
+
+const Prediction = require('../models/Prediction');
+
+const INTERVALS = ['hour', 'day', 'week'];
+const INTERVAL_MS = { hour: 3600000, day: 86400000, week: 604800000 };
+// Default look-back when no start date is given
+const DEFAULT_SPAN = { hour: 48, day: 30, week: 26 };
+const MAX_BUCKETS = 1000;
+
+/**
+ * Start of the UTC bucket containing a date (weeks start on Monday, as in $dateTrunc)
+ */
+const truncate = (date, interval) => {
+  const d = new Date(date);
+  if (interval === 'hour') {
+    d.setUTCMinutes(0, 0, 0);
+    return d;
+  }
+
+  d.setUTCHours(0, 0, 0, 0);
+  if (interval === 'week') {
+    d.setUTCDate(d.getUTCDate() - ((d.getUTCDay() + 6) % 7));
+  }
+  return d;
+};
+
+/**
+ * Resolve the date range and number of buckets for a request
+ * @returns {Object} { from, to, bucketCount }
+ */
+const resolveRange = ({ interval, from, to }) => {
+  const end = to ? new Date(to) : new Date();
+  const start = from ? new Date(from) : new Date(end.getTime() - DEFAULT_SPAN[interval] * INTERVAL_MS[interval]);
+  const bucketCount = Math.floor((truncate(end, interval) - truncate(start, interval)) / INTERVAL_MS[interval]) + 1;
+
+  return { from: start, to: end, bucketCount };
+};
+
+/**
+ * Prediction query for the filters
+ */
+const buildMatch = ({ from, to, language, modelVersion, auth }) => {
+  const match = { timestamp: { $gte: from, $lte: to } };
+  if (language) match.language = language;
+
+  // Predictions saved before model versions were recorded count as the default version
+  if (modelVersion) {
+    match['metadata.modelVersion'] = modelVersion === 'v1.0' ? { $in: [modelVersion, null] } : modelVersion;
+  }
+
+  if (auth === 'authenticated') match.userId = { $ne: null };
+  if (auth === 'anonymous') match.userId = null;
+
+  return match;
+};
+
+/**
+ * Bucketed prediction statistics
+ * @param {Object} options - { interval, from, to, language, modelVersion, auth }
+ */
+const buildTimeSeries = async ({ interval = 'day', from, to, language, modelVersion, auth }) => {
+  const range = resolveRange({ interval, from, to });
+
+  const rows = await Prediction.aggregate([
+    { $match: buildMatch({ ...range, language, modelVersion, auth }) },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: 'UTC', startOfWeek: 'monday' } },
+        count: { $sum: 1 },
+        avgConfidence: { $avg: '$prediction.confidence' },
+        aiGeneratedRatio: { $avg: '$prediction.label' },
+        avgGenderBias: { $avg: '$biasScore.genderBias' },
+        avgEthnicBias: { $avg: '$biasScore.ethnicBias' },
+        avgReligiousBias: { $avg: '$biasScore.religiousBias' },
+        avgOverallBias: { $avg: '$biasScore.overallBias' }
+      }
+    }
+  ]);
+
+  const byBucket = new Map(rows.map(row => [row._id.getTime(), row]));
+  const first = truncate(range.from, interval).getTime();
+
+  const buckets = Array.from({ length: range.bucketCount }, (_, index) => {
+    const start = first + index * INTERVAL_MS[interval];
+    const row = byBucket.get(start);
+
+    return {
+      bucket: new Date(start),
+      count: row?.count || 0,
+      avgConfidence: row?.avgConfidence ?? null,
+      aiGeneratedRatio: row?.aiGeneratedRatio ?? null,
+      avgBias: {
+        gender: row?.avgGenderBias ?? null,
+        ethnic: row?.avgEthnicBias ?? null,
+        religious: row?.avgReligiousBias ?? null,
+        overall: row?.avgOverallBias ?? null
+      }
+    };
+  });
+
+  return {
+    interval,
+    from: range.from,
+    to: range.to,
+    buckets
+  };
+};
+
+module.exports = {
+  INTERVALS,
+  MAX_BUCKETS,
+  resolveRange,
+  buildTimeSeries
+};
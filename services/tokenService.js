@@ -0,0 +1,233 @@
+/**
+ * Token Service
+ * Short-lived access tokens, rotating server-side refresh tokens and
+ * access token revocation (Redis denylist, MongoDB when Redis is unavailable)
+ */
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const User = require('../models/User');
+const RefreshToken = require('../models/RefreshToken');
+const RevokedToken = require('../models/RevokedToken');
+const { getRedisClient } = require('../config/redis');
+const logger = require('../utils/logger');
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseFloat(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const DENYLIST_PREFIX = 'hata:revoked:';
+
+/**
+ * Redis client when it is connected and ready, otherwise null
+ */
+const getReadyRedis = () => {
+  const client = getRedisClient();
+  return client && client.isReady ? client : null;
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+/**
+ * Error for a refresh token that cannot be used
+ */
+const refreshError = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_REFRESH_TOKEN';
+  return error;
+};
+
+/**
+ * Error for an access token that was revoked
+ */
+const revokedError = () => {
+  const error = new Error('Token has been revoked');
+  error.code = 'TOKEN_REVOKED';
+  return error;
+};
+
+/**
+ * Sign a short-lived access token
+ * @param {string} userId - User id
+ */
+const signAccessToken = (userId) => {
+  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    jwtid: crypto.randomUUID()
+  });
+};
+
+/**
+ * Issue an access token and a new refresh token
+ * @param {Object} user - User document
+ * @param {Object} meta - { ip, userAgent, family }
+ * @returns {Object} { token, refreshToken, expiresIn, refreshExpiresAt }
+ */
+const issueTokens = async (user, { ip, userAgent, family } = {}) => {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS);
+
+  await RefreshToken.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    family: family || crypto.randomUUID(),
+    expiresAt,
+    createdByIp: ip,
+    userAgent
+  });
+
+  return {
+    token: signAccessToken(user._id),
+    refreshToken,
+    expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    refreshExpiresAt: expiresAt
+  };
+};
+
+/**
+ * Exchange a refresh token for a new pair. The old token is revoked; presenting
+ * an already-rotated token revokes its whole family, since it was likely stolen.
+ * @param {string} refreshToken - Raw refresh token
+ * @param {Object} meta - { ip, userAgent }
+ * @returns {Object} { user, tokens }
+ */
+const rotateRefreshToken = async (refreshToken, meta = {}) => {
+  const tokenHash = hashToken(refreshToken);
+
+  // Atomic so two concurrent refreshes cannot both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { $set: { revokedAt: new Date(), revokedReason: 'rotated' } }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known?.revokedReason === 'rotated') {
+      await RefreshToken.updateMany(
+        { family: known.family, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'reuse_detected' } }
+      );
+      logger.warn(`Refresh token reuse detected for user ${known.userId} - session family revoked`);
+    }
+    throw refreshError('Invalid or expired refresh token');
+  }
+
+  const user = await User.findById(current.userId);
+  if (!user || !user.isActive) {
+    throw refreshError('User not found or deactivated');
+  }
+
+  const tokens = await issueTokens(user, { ...meta, family: current.family });
+  return { user, tokens };
+};
+
+/**
+ * Revoke one refresh token of a user (logout)
+ * @returns {boolean} Whether a live token was revoked
+ */
+const revokeRefreshToken = async (refreshToken, userId) => {
+  const result = await RefreshToken.updateOne(
+    { tokenHash: hashToken(refreshToken), userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: 'logout' } }
+  );
+  return result.modifiedCount > 0;
+};
+
+/**
+ * Add an access token to the denylist until it expires
+ * @param {Object} decoded - Verified JWT payload ({ jti, exp })
+ */
+const denyAccessToken = async (decoded) => {
+  if (!decoded?.jti) {
+    return;
+  }
+
+  const expiresAt = new Date(decoded.exp * 1000);
+  const ttlSeconds = Math.ceil((expiresAt.getTime() - Date.now()) / 1000);
+  if (ttlSeconds <= 0) {
+    return;
+  }
+
+  const redis = getReadyRedis();
+  if (redis) {
+    try {
+      await redis.set(`${DENYLIST_PREFIX}${decoded.jti}`, '1', { EX: ttlSeconds });
+      return;
+    } catch (error) {
+      logger.warn(`Token denylist write failed, using MongoDB: ${error.message}`);
+    }
+  }
+
+  await RevokedToken.updateOne(
+    { jti: decoded.jti },
+    { $setOnInsert: { jti: decoded.jti, expiresAt } },
+    { upsert: true }
+  );
+};
+
+/**
+ * Whether an access token id is on the denylist
+ * @param {string} jti - JWT id
+ */
+const isAccessTokenRevoked = async (jti) => {
+  if (!jti) {
+    return false;
+  }
+
+  const redis = getReadyRedis();
+  if (redis) {
+    try {
+      return (await redis.exists(`${DENYLIST_PREFIX}${jti}`)) > 0;
+    } catch (error) {
+      logger.warn(`Token denylist read failed, using MongoDB: ${error.message}`);
+    }
+  }
+
+  return Boolean(await RevokedToken.exists({ jti }));
+};
+
+/**
+ * Revoke every session of a user: all refresh tokens, and all access tokens
+ * issued before now (checked against tokensValidAfter)
+ * @param {string} userId - User id
+ * @param {string} reason - Revocation reason
+ */
+const revokeAllSessions = async (userId, reason = 'logout_all') => {
+  const [result] = await Promise.all([
+    RefreshToken.updateMany(
+      { userId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    ),
+    User.updateOne({ _id: userId }, { $set: { tokensValidAfter: new Date() } })
+  ]);
+  return result.modifiedCount;
+};
+
+/**
+ * Verify an access token and load its user, rejecting revoked tokens
+ * @param {string} token - Bearer token
+ * @returns {Object} { user, decoded } (user is null when it no longer exists)
+ */
+const verifyAccessToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  if (await isAccessTokenRevoked(decoded.jti)) {
+    throw revokedError();
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+
+  // iat has one-second resolution, so compare whole seconds
+  if (user?.tokensValidAfter && decoded.iat < Math.floor(user.tokensValidAfter.getTime() / 1000)) {
+    throw revokedError();
+  }
+
+  return { user, decoded };
+};
+
+module.exports = {
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  denyAccessToken,
+  revokeAllSessions,
+  verifyAccessToken
+};
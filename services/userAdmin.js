@@ -0,0 +1,274 @@
+/**
+ * User Administration
+ * Admin search, role changes, (de)activation and forced password resets.
+ * Every change is written to the audit log, and the last active admin
+ * can never be demoted or deactivated.
+ */
+
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ApiKey = require('../models/ApiKey');
+const { revokeAllSessions } = require('./tokenService');
+const { sendPasswordResetEmail } = require('./mailer');
+const logger = require('../utils/logger');
+
+const USER_ROLES = User.schema.path('role').enumValues;
+const AUDIT_ACTIONS = AuditLog.schema.path('action').enumValues;
+const MAX_PAGE_SIZE = 100;
+
+/**
+ * Error with a code the routes map to a status
+ */
+const userAdminError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const escapeRegex = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const contains = value => ({ $regex: escapeRegex(value), $options: 'i' });
+
+/**
+ * Normalise page / limit query values
+ */
+const paginate = ({ page, limit }) => {
+  const pageNumber = Math.max(1, parseInt(page) || 1);
+  const pageSize = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit) || 20));
+  return { page: pageNumber, limit: pageSize, skip: (pageNumber - 1) * pageSize };
+};
+
+/**
+ * Search users; text filters match case-insensitive substrings
+ * @param {Object} filters - { q, email, name, role, institution, isActive }
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { users, pagination }
+ */
+const searchUsers = async ({ q, email, name, role, institution, isActive } = {}, options = {}) => {
+  const filter = {};
+
+  if (q) {
+    filter.$or = [{ email: contains(q) }, { name: contains(q) }, { institution: contains(q) }];
+  }
+  if (email) filter.email = contains(email);
+  if (name) filter.name = contains(name);
+  if (institution) filter.institution = contains(institution);
+  if (role) filter.role = role;
+  if (isActive !== undefined) filter.isActive = isActive;
+
+  const { page, limit, skip } = paginate(options);
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-password'),
+    User.countDocuments(filter)
+  ]);
+
+  return {
+    users,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw userAdminError('User not found', 'USER_NOT_FOUND');
+  }
+  return user;
+};
+
+const countOtherActiveAdmins = userId => User.countDocuments({ _id: { $ne: userId }, role: 'admin', isActive: true });
+
+/**
+ * Apply an update that removes an active admin, refusing it for the last one.
+ * Checked again after the write so two admins demoting each other at the same
+ * time cannot leave the system without one.
+ */
+const updateAdminSafely = async (target, update) => {
+  const removesAdmin = target.role === 'admin' && target.isActive;
+
+  if (removesAdmin && await countOtherActiveAdmins(target._id) === 0) {
+    throw userAdminError('The last active admin cannot be demoted or deactivated', 'LAST_ADMIN');
+  }
+
+  const updated = await User.findByIdAndUpdate(target._id, { $set: update }, { new: true }).select('-password');
+
+  if (removesAdmin && !(await User.exists({ role: 'admin', isActive: true }))) {
+    await User.updateOne({ _id: target._id }, { $set: { role: target.role, isActive: target.isActive } });
+    throw userAdminError('The last active admin cannot be demoted or deactivated', 'LAST_ADMIN');
+  }
+
+  return updated;
+};
+
+/**
+ * Write an audit log entry
+ * @param {Object} actor - Admin user making the change
+ * @param {string} action - One of AUDIT_ACTIONS
+ * @param {Object} target - Changed user
+ * @param {Object} details - { changes, reason, meta: { ip, userAgent } }
+ */
+const recordAudit = (actor, action, target, { changes, reason, meta = {} } = {}) => {
+  return AuditLog.create({
+    actorId: actor._id,
+    action,
+    targetUserId: target._id,
+    changes,
+    reason,
+    ipAddress: meta.ip,
+    userAgent: meta.userAgent
+  });
+};
+
+/**
+ * Promote or demote a user
+ * @param {Object} actor - Admin user
+ * @param {string} userId - Target user id
+ * @param {string} role - New role
+ * @param {Object} details - { reason, meta }
+ * @returns {Object} { user, changed }
+ */
+const changeUserRole = async (actor, userId, role, { reason, meta } = {}) => {
+  const target = await loadUser(userId);
+
+  if (target.role === role) {
+    return { user: target, changed: false };
+  }
+
+  const user = role === 'admin'
+    ? await User.findByIdAndUpdate(target._id, { $set: { role } }, { new: true }).select('-password')
+    : await updateAdminSafely(target, { role });
+
+  await recordAudit(actor, 'user.role_changed', target, {
+    changes: { role: { from: target.role, to: role } },
+    reason,
+    meta
+  });
+
+  return { user, changed: true };
+};
+
+/**
+ * Deactivate or reactivate an account. Deactivation also ends all its sessions;
+ * its API keys stop working because they require an active owner.
+ * @param {Object} actor - Admin user
+ * @param {string} userId - Target user id
+ * @param {boolean} active - New state
+ * @param {Object} details - { reason, meta }
+ * @returns {Object} { user, changed }
+ */
+const setUserActive = async (actor, userId, active, { reason, meta } = {}) => {
+  const target = await loadUser(userId);
+
+  if (target.isActive === active) {
+    return { user: target, changed: false };
+  }
+
+  let user;
+  if (active) {
+    user = await User.findByIdAndUpdate(target._id, { $set: { isActive: true } }, { new: true }).select('-password');
+  } else {
+    user = await updateAdminSafely(target, { isActive: false });
+    await revokeAllSessions(target._id, 'admin');
+  }
+
+  await recordAudit(actor, active ? 'user.reactivated' : 'user.deactivated', target, {
+    changes: { isActive: { from: target.isActive, to: active } },
+    reason,
+    meta
+  });
+
+  return { user, changed: true };
+};
+
+/**
+ * Force a password reset: end all sessions, revoke the user's API keys,
+ * refuse logins until the user sets a new password, and email a reset link.
+ * The change is audited before the email is sent; a mail failure is reported
+ * back (the user can still use forgot-password) rather than thrown.
+ * @param {Object} actor - Admin user
+ * @param {string} userId - Target user id
+ * @param {Object} details - { reason, meta }
+ * @returns {Object} { user, emailSent }
+ */
+const forcePasswordReset = async (actor, userId, { reason, meta } = {}) => {
+  const target = await loadUser(userId);
+
+  if (!target.isActive) {
+    throw userAdminError('Reactivate the account before resetting its password', 'USER_INACTIVE');
+  }
+
+  const wasRequired = target.passwordResetRequired;
+  const token = target.createAuthToken('passwordResetToken');
+  target.passwordResetRequired = true;
+  await target.save({ validateBeforeSave: false });
+
+  await revokeAllSessions(target._id, 'password_reset');
+  // Resets are usually forced for compromised accounts, so keys go too
+  const { modifiedCount: revokedApiKeys } = await ApiKey.updateMany(
+    { userId: target._id, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+
+  await recordAudit(actor, 'user.password_reset_forced', target, {
+    changes: {
+      passwordResetRequired: { from: wasRequired, to: true },
+      revokedApiKeys
+    },
+    reason,
+    meta
+  });
+
+  let emailSent = true;
+  try {
+    await sendPasswordResetEmail(target, token);
+  } catch (error) {
+    emailSent = false;
+    logger.error(`Forced password reset email error for ${target.email}: ${error.message}`);
+  }
+
+  return { user: target, emailSent };
+};
+
+/**
+ * Audit log entries, newest first
+ * @param {Object} filters - { targetUserId, actorId, action }
+ * @param {Object} options - { page, limit }
+ * @returns {Object} { entries, pagination }
+ */
+const listAuditLog = async ({ targetUserId, actorId, action } = {}, options = {}) => {
+  const filter = {};
+  if (targetUserId) filter.targetUserId = targetUserId;
+  if (actorId) filter.actorId = actorId;
+  if (action) filter.action = action;
+
+  const { page, limit, skip } = paginate(options);
+
+  const [entries, total] = await Promise.all([
+    AuditLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actorId', 'email name')
+      .populate('targetUserId', 'email name'),
+    AuditLog.countDocuments(filter)
+  ]);
+
+  return {
+    entries,
+    pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+  };
+};
+
+module.exports = {
+  USER_ROLES,
+  AUDIT_ACTIONS,
+  searchUsers,
+  changeUserRole,
+  setUserActive,
+  forcePasswordReset,
+  listAuditLog
+};
@@ -0,0 +1,85 @@
+const { cohensKappa, pairwiseCohensKappa, fleissKappa, krippendorffAlpha } = require('../agreement');
+
+// Expand per-category counts into one rating per rater
+const ratingsFromCounts = counts => counts.flatMap((count, category) => Array(count).fill(category));
+
+describe('cohensKappa', () => {
+  it('corrects observed agreement for chance', () => {
+    const pairs = [
+      ...Array(20).fill(['yes', 'yes']),
+      ...Array(5).fill(['yes', 'no']),
+      ...Array(10).fill(['no', 'yes']),
+      ...Array(15).fill(['no', 'no'])
+    ];
+
+    // observed 0.7, expected 0.5
+    expect(cohensKappa(pairs)).toBeCloseTo(0.4, 10);
+  });
+
+  it('is 1 for perfect agreement and null without variation', () => {
+    expect(cohensKappa([[0, 0], [1, 1], [0, 0]])).toBe(1);
+    expect(cohensKappa([[1, 1], [1, 1]])).toBeNull();
+    expect(cohensKappa([])).toBeNull();
+  });
+});
+
+describe('pairwiseCohensKappa', () => {
+  it('weights each rater pair by the items they share', () => {
+    const items = [
+      { a: 1, b: 1, c: 0 },
+      { a: 0, b: 0, c: 0 },
+      { a: 1, b: 1 },
+      { a: 0, b: 0 }
+    ];
+
+    const result = pairwiseCohensKappa(items);
+
+    // a|b: kappa 1 over 4 items; a|c and b|c: agreement no better than chance over 2
+    expect(result.pairs).toBe(3);
+    expect(result.kappa).toBeCloseTo((1 * 4 + 0 * 2 + 0 * 2) / 8, 10);
+  });
+
+  it('returns null when no pair can be scored', () => {
+    expect(pairwiseCohensKappa([{ a: 1 }, { b: 0 }])).toEqual({ kappa: null, pairs: 0 });
+  });
+});
+
+describe('fleissKappa', () => {
+  it('matches the textbook example (14 raters, 5 categories)', () => {
+    const table = [
+      [0, 0, 0, 0, 14],
+      [0, 2, 6, 4, 2],
+      [0, 0, 3, 5, 6],
+      [0, 3, 9, 2, 0],
+      [2, 2, 8, 1, 1],
+      [7, 7, 0, 0, 0],
+      [3, 2, 6, 3, 0],
+      [2, 5, 3, 2, 2],
+      [6, 5, 2, 1, 0],
+      [0, 2, 2, 3, 7]
+    ];
+
+    expect(fleissKappa(table.map(ratingsFromCounts))).toBeCloseTo(0.20993, 4);
+  });
+
+  it('ignores items with fewer than two ratings', () => {
+    expect(fleissKappa([[0, 0], [1, 1], [1]])).toBe(1);
+    expect(fleissKappa([[1]])).toBeNull();
+  });
+});
+
+describe('krippendorffAlpha', () => {
+  it('is 1 for identical values within every unit', () => {
+    expect(krippendorffAlpha([[1, 1], [2, 2, 2], [3, 3]])).toBe(1);
+  });
+
+  it('goes negative when disagreement exceeds chance', () => {
+    // Observed disagreement 1, expected 2/3
+    expect(krippendorffAlpha([[1, 2], [2, 1]])).toBeCloseTo(-0.5, 10);
+  });
+
+  it('returns null without pairable values or variation', () => {
+    expect(krippendorffAlpha([[1], [2]])).toBeNull();
+    expect(krippendorffAlpha([[3, 3], [3, 3]])).toBeNull();
+  });
+});
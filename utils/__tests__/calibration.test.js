@@ -0,0 +1,90 @@
+const { applyScaling, calibrationReport, fitTemperature, fitPlatt } = require('../calibration');
+
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+
+/**
+ * 100 samples per true logit z, labelled at rate sigmoid(z) and scored by `score(z)`
+ */
+const simulate = (score) => [-2, -1, -0.5, 0.5, 1, 2].flatMap((z) => {
+  const positives = Math.round(100 * sigmoid(z));
+  return Array.from({ length: 100 }, (_, i) => ({ score: score(z), label: i < positives ? 1 : 0 }));
+});
+
+describe('calibrationReport', () => {
+  it('computes ECE over top-label confidence bins and the Brier score', () => {
+    const samples = [
+      { score: 0.9, label: 1 },
+      { score: 0.9, label: 1 },
+      { score: 0.9, label: 0 },
+      { score: 0.3, label: 0 } // predicted human with confidence 0.7
+    ];
+
+    const report = calibrationReport(samples);
+
+    // 3/4 * |2/3 - 0.9| + 1/4 * |1 - 0.7|
+    expect(report.ece).toBeCloseTo(0.25, 10);
+    expect(report.brier).toBeCloseTo((0.01 + 0.01 + 0.81 + 0.09) / 4, 10);
+    expect(report.sampleSize).toBe(4);
+
+    const populated = report.bins.filter(bin => bin.count > 0);
+    expect(populated).toHaveLength(2);
+    expect(populated[1].accuracy).toBeCloseTo(2 / 3, 10);
+  });
+
+  it('puts full confidence in the last bin', () => {
+    const { bins } = calibrationReport([{ score: 1, label: 1 }, { score: 0, label: 0 }], 5);
+
+    expect(bins[4].count).toBe(2);
+    expect(bins[4].accuracy).toBe(1);
+  });
+
+  it('has no metrics without samples', () => {
+    expect(calibrationReport([])).toEqual({ sampleSize: 0, ece: null, brier: null, bins: [] });
+  });
+});
+
+describe('applyScaling', () => {
+  it('divides the logit by the temperature', () => {
+    expect(applyScaling(sigmoid(2), { method: 'temperature', temperature: 2 })).toBeCloseTo(sigmoid(1), 10);
+    expect(applyScaling(0.8, { method: 'temperature', temperature: 1 })).toBeCloseTo(0.8, 10);
+  });
+
+  it('applies Platt coefficients to the logit', () => {
+    expect(applyScaling(sigmoid(1), { method: 'platt', plattA: 2, plattB: -1 })).toBeCloseTo(sigmoid(1), 10);
+  });
+
+  it('leaves scores alone without a calibration', () => {
+    expect(applyScaling(0.42)).toBe(0.42);
+  });
+});
+
+describe('fitTemperature', () => {
+  it('recovers the temperature of an overconfident model', () => {
+    const samples = simulate(z => sigmoid(2 * z));
+
+    const calibration = fitTemperature(samples);
+
+    expect(calibration.method).toBe('temperature');
+    expect(Math.abs(calibration.temperature - 2)).toBeLessThan(0.1);
+  });
+
+  it('reduces the calibration error', () => {
+    const samples = simulate(z => sigmoid(3 * z));
+    const calibration = fitTemperature(samples);
+    const scaled = samples.map(({ score, label }) => ({ score: applyScaling(score, calibration), label }));
+
+    expect(calibrationReport(scaled).ece).toBeLessThan(calibrationReport(samples).ece);
+  });
+});
+
+describe('fitPlatt', () => {
+  it('recovers the slope and intercept of a shifted, overconfident model', () => {
+    // Raw logit 2z + 0.5, so the true logit is 0.5 * raw - 0.25
+    const samples = simulate(z => sigmoid(2 * z + 0.5));
+
+    const { plattA, plattB } = fitPlatt(samples);
+
+    expect(Math.abs(plattA - 0.5)).toBeLessThan(0.05);
+    expect(Math.abs(plattB + 0.25)).toBeLessThan(0.05);
+  });
+});
@@ -0,0 +1,58 @@
+const { parseCsv, parseCsvRecords, toCsvRow } = require('../csv');
+
+describe('toCsvRow', () => {
+  it('leaves plain cells unquoted', () => {
+    expect(toCsvRow(['text', 1, 'ha'])).toBe('text,1,ha\n');
+  });
+
+  it('quotes cells with commas, quotes or line breaks and doubles quotes', () => {
+    expect(toCsvRow(['a,b', 'say "hi"', 'line\nbreak', 'cr\rhere']))
+      .toBe('"a,b","say ""hi""","line\nbreak","cr\rhere"\n');
+  });
+
+  it('writes null and undefined as empty cells', () => {
+    expect(toCsvRow([null, undefined, 0, false])).toBe(',,0,false\n');
+  });
+});
+
+describe('parseCsv', () => {
+  it('reads quoted fields, escaped quotes and embedded newlines', () => {
+    const content = 'text,label\n"Hello, ""world""\nagain",1\r\nplain,0\n';
+
+    expect(parseCsv(content)).toEqual([
+      ['text', 'label'],
+      ['Hello, "world"\nagain', '1'],
+      ['plain', '0']
+    ]);
+  });
+
+  it('strips a byte order mark and skips blank lines', () => {
+    expect(parseCsv('\uFEFFa,b\n\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+  });
+
+  it('keeps trailing empty fields', () => {
+    expect(parseCsv('a,b,\n')).toEqual([['a', 'b', '']]);
+  });
+
+  it('round-trips rows written by toCsvRow', () => {
+    const rows = [
+      ['Ina kwana, yaya "aiki"?', '0', 'ha'],
+      ['multi\nline\r\ntext', '1', 'yo']
+    ];
+
+    expect(parseCsv(rows.map(toCsvRow).join(''))).toEqual(rows);
+  });
+});
+
+describe('parseCsvRecords', () => {
+  it('keys cells by the trimmed header and numbers data rows from 1', () => {
+    expect(parseCsvRecords(' text ,label\nfoo,1\nbar')).toEqual([
+      { line: 1, record: { text: 'foo', label: '1' } },
+      { line: 2, record: { text: 'bar', label: undefined } }
+    ]);
+  });
+
+  it('returns nothing for empty content', () => {
+    expect(parseCsvRecords('')).toEqual([]);
+  });
+});
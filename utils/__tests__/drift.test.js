@@ -0,0 +1,62 @@
+const { numericPsi, categoricalPsi, ksStatistic } = require('../drift');
+
+const range = (start, count, step = 1) => Array.from({ length: count }, (_, i) => start + i * step);
+
+describe('categoricalPsi', () => {
+  it('sums (q - p) * ln(q / p) over categories', () => {
+    const psi = categoricalPsi(['a', 'a', 'b', 'b'], ['a', 'a', 'a', 'b']);
+
+    expect(psi).toBeCloseTo(0.25 * Math.log(1.5) - 0.25 * Math.log(0.5), 10);
+  });
+
+  it('stays finite when a category is new in the current window', () => {
+    const psi = categoricalPsi(['ha', 'ha'], ['ha', 'yo']);
+
+    expect(Number.isFinite(psi)).toBe(true);
+    expect(psi).toBeGreaterThan(0.25);
+  });
+
+  it('is 0 for identical distributions and null for an empty window', () => {
+    expect(categoricalPsi(['a', 'b'], ['b', 'a'])).toBe(0);
+    expect(categoricalPsi([], ['a'])).toBeNull();
+  });
+});
+
+describe('numericPsi', () => {
+  const reference = range(0, 100, 0.01);
+
+  it('is 0 when the current window matches the reference', () => {
+    expect(numericPsi(reference, [...reference])).toBeCloseTo(0, 10);
+  });
+
+  it('grows with the size of a shift', () => {
+    const small = numericPsi(reference, reference.map(v => v + 0.05));
+    const large = numericPsi(reference, reference.map(v => v + 0.5));
+
+    expect(small).toBeGreaterThan(0);
+    expect(large).toBeGreaterThan(small);
+    expect(large).toBeGreaterThan(0.25);
+  });
+
+  it('collapses repeated reference values into one bin', () => {
+    const zeros = [...Array(90).fill(0), ...range(0.1, 10, 0.1)];
+
+    expect(numericPsi(zeros, [...zeros])).toBeCloseTo(0, 10);
+  });
+});
+
+describe('ksStatistic', () => {
+  it('is the largest gap between the empirical CDFs', () => {
+    expect(ksStatistic([1, 2, 3, 4], [3, 4, 5, 6])).toBeCloseTo(0.5, 10);
+  });
+
+  it('is 1 for disjoint samples and 0 for identical ones', () => {
+    expect(ksStatistic([1, 2], [3, 4])).toBe(1);
+    expect(ksStatistic([1, 2, 2, 3], [3, 2, 1, 2])).toBe(0);
+  });
+
+  it('handles samples of different sizes', () => {
+    expect(ksStatistic([1, 2], [1, 1, 1, 2])).toBeCloseTo(0.25, 10);
+    expect(ksStatistic([], [1])).toBeNull();
+  });
+});
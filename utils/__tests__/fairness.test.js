@@ -0,0 +1,86 @@
+const { computeFairness, rankDisparityDrivers } = require('../fairness');
+
+/**
+ * Results for one group: `positives` AI-generated samples of which `truePositives`
+ * were detected, and `negatives` human samples of which `falsePositives` were flagged
+ */
+const group = (fields, { positives, truePositives, negatives, falsePositives }) => [
+  ...Array.from({ length: positives }, (_, i) => ({ ...fields, label: 1, predictedLabel: i < truePositives ? 1 : 0 })),
+  ...Array.from({ length: negatives }, (_, i) => ({ ...fields, label: 0, predictedLabel: i < falsePositives ? 1 : 0 }))
+];
+
+describe('computeFairness', () => {
+  const results = [
+    // TPR 0.9, FPR 0.1
+    ...group({ language: 'ha' }, { positives: 20, truePositives: 18, negatives: 20, falsePositives: 2 }),
+    // TPR 0.6, FPR 0.3
+    ...group({ language: 'yo' }, { positives: 20, truePositives: 12, negatives: 20, falsePositives: 6 })
+  ];
+
+  it('measures each group against the rest of the population', () => {
+    const { groups } = computeFairness(results, { attributes: ['language'] });
+    const hausa = groups.find(g => g.group === 'ha');
+    const yoruba = groups.find(g => g.group === 'yo');
+
+    expect(hausa.sampleSize).toBe(40);
+    expect(hausa.truePositiveRate).toBeCloseTo(0.9, 10);
+    expect(hausa.falsePositiveRate).toBeCloseTo(0.1, 10);
+    expect(hausa.eod).toBeCloseTo(0.3, 10);
+    expect(yoruba.eod).toBeCloseTo(-0.3, 10);
+    // (|0.3| + |-0.2|) / 2
+    expect(hausa.aaod).toBeCloseTo(0.25, 10);
+    expect(yoruba.aaod).toBeCloseTo(0.25, 10);
+  });
+
+  it('reports the largest absolute EOD and AAOD among reliable groups', () => {
+    const fairness = computeFairness(results, { attributes: ['language'] });
+
+    expect(fairness.eod).toBeCloseTo(0.3, 10);
+    expect(fairness.aaod).toBeCloseTo(0.25, 10);
+  });
+
+  it('leaves small groups out of the headline numbers', () => {
+    const withSmallGroup = [
+      ...results,
+      ...group({ language: 'ig' }, { positives: 3, truePositives: 0, negatives: 3, falsePositives: 3 })
+    ];
+
+    const fairness = computeFairness(withSmallGroup, { attributes: ['language'] });
+    const igbo = fairness.groups.find(g => g.group === 'ig');
+
+    expect(igbo.reliable).toBe(false);
+    expect(Math.abs(igbo.eod)).toBeGreaterThan(fairness.eod);
+  });
+
+  it('groups bias flags by their judged value only', () => {
+    const flagged = [
+      ...group({ biasFlags: { hasGenderBias: true } }, { positives: 2, truePositives: 2, negatives: 2, falsePositives: 0 }),
+      ...group({ biasFlags: { hasGenderBias: false } }, { positives: 2, truePositives: 1, negatives: 2, falsePositives: 1 }),
+      ...group({ biasFlags: {} }, { positives: 2, truePositives: 0, negatives: 2, falsePositives: 2 })
+    ];
+
+    const { groups } = computeFairness(flagged, { attributes: ['hasGenderBias'] });
+
+    expect(groups.map(g => g.group).sort()).toEqual(['false', 'true']);
+    expect(groups.find(g => g.group === 'true').eod).toBeCloseTo(0.5, 10);
+  });
+
+  it('has nothing to compare with a single group', () => {
+    const single = group({ language: 'ha' }, { positives: 2, truePositives: 1, negatives: 2, falsePositives: 1 });
+
+    expect(computeFairness(single, { attributes: ['language'] })).toEqual({ eod: 0, aaod: 0, groups: [] });
+  });
+});
+
+describe('rankDisparityDrivers', () => {
+  it('puts reliable groups first, then orders by absolute disparity', () => {
+    const groups = [
+      { group: 'a', reliable: true, eod: 0.1 },
+      { group: 'b', reliable: false, eod: 0.9 },
+      { group: 'c', reliable: true, eod: -0.3 },
+      { group: 'd', reliable: true, eod: null }
+    ];
+
+    expect(rankDisparityDrivers(groups, 'eod').map(g => g.group)).toEqual(['c', 'a', 'b']);
+  });
+});
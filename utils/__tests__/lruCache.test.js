@@ -0,0 +1,71 @@
+const { createLruCache } = require('../lruCache');
+
+describe('createLruCache', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('evicts the least recently used entry past maxEntries', () => {
+    const cache = createLruCache({ maxEntries: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.get('a'); // b is now the oldest
+    cache.set('c', 3);
+
+    expect(cache.get('b')).toBeUndefined();
+    expect(cache.get('a')).toBe(1);
+    expect(cache.get('c')).toBe(3);
+    expect(cache.size()).toBe(2);
+  });
+
+  it('refreshes recency when a key is set again', () => {
+    const cache = createLruCache({ maxEntries: 2 });
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    cache.set('a', 10);
+    cache.set('c', 3);
+
+    expect(cache.get('a')).toBe(10);
+    expect(cache.get('b')).toBeUndefined();
+  });
+
+  it('expires entries after ttlMs', () => {
+    jest.useFakeTimers();
+    const cache = createLruCache({ ttlMs: 1000 });
+
+    cache.set('a', 1);
+    jest.advanceTimersByTime(999);
+    expect(cache.get('a')).toBe(1);
+
+    jest.advanceTimersByTime(1);
+    expect(cache.get('a')).toBeUndefined();
+    expect(cache.size()).toBe(0);
+  });
+
+  it('does not extend the TTL on reads', () => {
+    jest.useFakeTimers();
+    const cache = createLruCache({ ttlMs: 1000 });
+
+    cache.set('a', 1);
+    jest.advanceTimersByTime(600);
+    cache.get('a');
+    jest.advanceTimersByTime(600);
+
+    expect(cache.get('a')).toBeUndefined();
+  });
+
+  it('keeps entries without a TTL until evicted or cleared', () => {
+    jest.useFakeTimers();
+    const cache = createLruCache();
+
+    cache.set('a', 1);
+    cache.set('b', 2);
+    jest.advanceTimersByTime(24 * 60 * 60 * 1000);
+
+    expect(cache.get('a')).toBe(1);
+    expect(cache.clear()).toBe(2);
+    expect(cache.size()).toBe(0);
+  });
+});
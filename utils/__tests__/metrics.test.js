@@ -0,0 +1,74 @@
+const { confusionMatrix, rocAuc, binaryMetrics, positiveScore } = require('../metrics');
+
+describe('rocAuc', () => {
+  it('is the share of positive/negative pairs ranked correctly', () => {
+    const results = [
+      { label: 1, score: 0.9 },
+      { label: 1, score: 0.4 },
+      { label: 0, score: 0.6 },
+      { label: 0, score: 0.1 }
+    ];
+
+    // 3 of the 4 pairs put the positive above the negative
+    expect(rocAuc(results)).toBeCloseTo(0.75, 10);
+  });
+
+  it('counts ties as half a correct ranking', () => {
+    expect(rocAuc([{ label: 1, score: 0.5 }, { label: 0, score: 0.5 }])).toBeCloseTo(0.5, 10);
+    expect(rocAuc([
+      { label: 1, score: 0.8 },
+      { label: 1, score: 0.3 },
+      { label: 0, score: 0.3 }
+    ])).toBeCloseTo(0.75, 10);
+  });
+
+  it('is 1 for perfect separation and undefined with a single class', () => {
+    expect(rocAuc([{ label: 0, score: 0.2 }, { label: 1, score: 0.7 }])).toBe(1);
+    expect(rocAuc([{ label: 1, score: 0.2 }, { label: 1, score: 0.7 }])).toBeUndefined();
+  });
+
+  it('skips results without a score', () => {
+    expect(rocAuc([{ label: 1, score: 0.7 }, { label: 0 }, { label: 0, score: 0.2 }])).toBe(1);
+  });
+});
+
+describe('binaryMetrics', () => {
+  it('treats AI-generated (1) as the positive class', () => {
+    const results = [
+      { label: 1, predictedLabel: 1, score: 0.9 },
+      { label: 1, predictedLabel: 0, score: 0.4 },
+      { label: 0, predictedLabel: 1, score: 0.6 },
+      { label: 0, predictedLabel: 0, score: 0.1 },
+      { label: 0, predictedLabel: 0, score: 0.2 }
+    ];
+
+    const { metrics, confusionMatrix: matrix, sampleSize } = binaryMetrics(results);
+
+    expect(matrix).toEqual(confusionMatrix(results));
+    expect(matrix).toEqual({ truePositive: 1, trueNegative: 2, falsePositive: 1, falseNegative: 1 });
+    expect(sampleSize).toBe(5);
+    expect(metrics.accuracy).toBeCloseTo(0.6, 10);
+    expect(metrics.precision).toBeCloseTo(0.5, 10);
+    expect(metrics.recall).toBeCloseTo(0.5, 10);
+    expect(metrics.f1Score).toBeCloseTo(0.5, 10);
+    expect(metrics.auc).toBeCloseTo(5 / 6, 10);
+  });
+
+  it('reports 0 rather than NaN without positive predictions', () => {
+    const { metrics } = binaryMetrics([{ label: 1, predictedLabel: 0 }, { label: 0, predictedLabel: 0 }]);
+
+    expect(metrics.precision).toBe(0);
+    expect(metrics.f1Score).toBe(0);
+  });
+});
+
+describe('positiveScore', () => {
+  it('prefers the AI-generated probability', () => {
+    expect(positiveScore({ label: 0, confidence: 0.8, probabilities: [0.8, 0.2] })).toBe(0.2);
+  });
+
+  it('falls back to the confidence of the predicted label', () => {
+    expect(positiveScore({ label: 1, confidence: 0.7 })).toBe(0.7);
+    expect(positiveScore({ label: 0, confidence: 0.7 })).toBeCloseTo(0.3, 10);
+  });
+});
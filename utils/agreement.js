@@ -0,0 +1,150 @@
+/**
+ * Inter-Annotator Agreement Metrics
+ * Cohen's kappa, Fleiss' kappa and Krippendorff's alpha (interval)
+ */
+
+/**
+ * Cohen's kappa for two raters
+ * @param {Array} pairs - [[ratingA, ratingB], ...] for items both raters labelled
+ * @returns {number|null} Kappa, or null when chance agreement is total
+ */
+const cohensKappa = (pairs) => {
+  if (pairs.length === 0) {
+    return null;
+  }
+
+  const countsA = {};
+  const countsB = {};
+  let agreed = 0;
+
+  pairs.forEach(([a, b]) => {
+    countsA[a] = (countsA[a] || 0) + 1;
+    countsB[b] = (countsB[b] || 0) + 1;
+    if (a === b) agreed++;
+  });
+
+  const n = pairs.length;
+  const observed = agreed / n;
+  const expected = Object.keys({ ...countsA, ...countsB })
+    .reduce((sum, category) => sum + ((countsA[category] || 0) / n) * ((countsB[category] || 0) / n), 0);
+
+  if (expected === 1) {
+    return null;
+  }
+
+  return (observed - expected) / (1 - expected);
+};
+
+/**
+ * Mean pairwise Cohen's kappa across every pair of raters, weighted by shared items
+ * @param {Array} items - [{ raterId: rating }, ...] one object per item
+ * @returns {Object} { kappa, pairs }
+ */
+const pairwiseCohensKappa = (items) => {
+  const shared = new Map();
+
+  items.forEach((ratings) => {
+    const raters = Object.keys(ratings).sort();
+    for (let i = 0; i < raters.length; i++) {
+      for (let j = i + 1; j < raters.length; j++) {
+        const key = `${raters[i]}|${raters[j]}`;
+        if (!shared.has(key)) shared.set(key, []);
+        shared.get(key).push([ratings[raters[i]], ratings[raters[j]]]);
+      }
+    }
+  });
+
+  let weightedSum = 0;
+  let weight = 0;
+  shared.forEach((pairs) => {
+    const kappa = cohensKappa(pairs);
+    if (kappa !== null) {
+      weightedSum += kappa * pairs.length;
+      weight += pairs.length;
+    }
+  });
+
+  return {
+    kappa: weight > 0 ? weightedSum / weight : null,
+    pairs: shared.size
+  };
+};
+
+/**
+ * Fleiss' kappa, generalised to a varying number of raters per item
+ * @param {Array} items - [[rating, rating, ...], ...] one array per item
+ * @returns {number|null} Kappa, or null when there is nothing to compare
+ */
+const fleissKappa = (items) => {
+  const rated = items.filter(ratings => ratings.length >= 2);
+  if (rated.length === 0) {
+    return null;
+  }
+
+  const categoryTotals = {};
+  let totalRatings = 0;
+  let agreementSum = 0;
+
+  rated.forEach((ratings) => {
+    const counts = {};
+    ratings.forEach((rating) => {
+      counts[rating] = (counts[rating] || 0) + 1;
+      categoryTotals[rating] = (categoryTotals[rating] || 0) + 1;
+    });
+
+    const n = ratings.length;
+    const agreeingPairs = Object.values(counts).reduce((sum, count) => sum + count * (count - 1), 0);
+    agreementSum += agreeingPairs / (n * (n - 1));
+    totalRatings += n;
+  });
+
+  const observed = agreementSum / rated.length;
+  const expected = Object.values(categoryTotals)
+    .reduce((sum, count) => sum + (count / totalRatings) ** 2, 0);
+
+  if (expected === 1) {
+    return null;
+  }
+
+  return (observed - expected) / (1 - expected);
+};
+
+/**
+ * Krippendorff's alpha with the interval distance metric
+ * @param {Array} units - [[value, value, ...], ...] one array per item
+ * @returns {number|null} Alpha, or null when there is nothing to compare
+ */
+const krippendorffAlpha = (units) => {
+  const pairable = units.filter(values => values.length >= 2);
+  const n = pairable.reduce((sum, values) => sum + values.length, 0);
+
+  if (n < 2) {
+    return null;
+  }
+
+  // Sum over ordered pairs of (a - b)^2 equals 2 * (m * sum(v^2) - sum(v)^2)
+  const squaredDifferences = (values) => {
+    const sum = values.reduce((acc, value) => acc + value, 0);
+    const sumSquares = values.reduce((acc, value) => acc + value * value, 0);
+    return 2 * (values.length * sumSquares - sum * sum);
+  };
+
+  const observed = pairable.reduce(
+    (sum, values) => sum + squaredDifferences(values) / (values.length - 1),
+    0
+  ) / n;
+  const expected = squaredDifferences(pairable.flat()) / (n * (n - 1));
+
+  if (expected === 0) {
+    return null;
+  }
+
+  return 1 - observed / expected;
+};
+
+module.exports = {
+  cohensKappa,
+  pairwiseCohensKappa,
+  fleissKappa,
+  krippendorffAlpha
+};
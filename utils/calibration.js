@@ -0,0 +1,163 @@
+/**
+ * Calibration Metrics
+ * Expected calibration error, Brier score, reliability bins and
+ * temperature / Platt scaling for the AI-generated (1) probability
+ */
+
+// Keeps logits finite for probabilities of exactly 0 or 1
+const EPSILON = 1e-6;
+
+const clampProbability = p => Math.min(1 - EPSILON, Math.max(EPSILON, p));
+const logit = p => Math.log(clampProbability(p) / (1 - clampProbability(p)));
+const sigmoid = x => 1 / (1 + Math.exp(-x));
+
+/**
+ * Calibrated P(label = 1)
+ * @param {number} score - Raw P(label = 1)
+ * @param {Object} calibration - { method: 'temperature', temperature } or { method: 'platt', plattA, plattB }
+ */
+const applyScaling = (score, calibration) => {
+  if (!calibration) {
+    return score;
+  }
+  if (calibration.method === 'temperature') {
+    return sigmoid(logit(score) / calibration.temperature);
+  }
+  if (calibration.method === 'platt') {
+    return sigmoid(calibration.plattA * logit(score) + calibration.plattB);
+  }
+  return score;
+};
+
+/**
+ * ECE, Brier score and reliability-diagram bins.
+ * Bins use the top-label confidence, max(p, 1 - p), as reported to users.
+ * @param {Array} samples - [{ score, label }] where score is P(label = 1)
+ * @param {number} binCount - Number of equal-width confidence bins
+ */
+const calibrationReport = (samples, binCount = 10) => {
+  if (samples.length === 0) {
+    return { sampleSize: 0, ece: null, brier: null, bins: [] };
+  }
+
+  // Top-label confidence lies in [0.5, 1], so bins span that range
+  const width = 0.5 / binCount;
+  const bins = Array.from({ length: binCount }, (_, index) => ({
+    lower: 0.5 + index * width,
+    upper: 0.5 + (index + 1) * width,
+    count: 0,
+    confidenceSum: 0,
+    correct: 0
+  }));
+
+  let brierSum = 0;
+
+  samples.forEach(({ score, label }) => {
+    const predicted = score >= 0.5 ? 1 : 0;
+    const confidence = predicted === 1 ? score : 1 - score;
+    const bin = bins[Math.min(binCount - 1, Math.floor((confidence - 0.5) / width))];
+
+    bin.count++;
+    bin.confidenceSum += confidence;
+    if (predicted === label) bin.correct++;
+    brierSum += (score - label) ** 2;
+  });
+
+  const ece = bins.reduce(
+    (sum, bin) => (bin.count > 0 ? sum + (bin.count / samples.length) * Math.abs(bin.correct / bin.count - bin.confidenceSum / bin.count) : sum),
+    0
+  );
+
+  return {
+    sampleSize: samples.length,
+    ece,
+    brier: brierSum / samples.length,
+    bins: bins.map(bin => ({
+      lower: bin.lower,
+      upper: bin.upper,
+      count: bin.count,
+      avgConfidence: bin.count > 0 ? bin.confidenceSum / bin.count : null,
+      accuracy: bin.count > 0 ? bin.correct / bin.count : null
+    }))
+  };
+};
+
+/**
+ * Mean negative log-likelihood of labels under calibrated scores
+ */
+const negativeLogLikelihood = (samples, calibration) => {
+  return samples.reduce((sum, { score, label }) => {
+    const p = clampProbability(applyScaling(score, calibration));
+    return sum - (label === 1 ? Math.log(p) : Math.log(1 - p));
+  }, 0) / samples.length;
+};
+
+/**
+ * Temperature minimising NLL, by golden-section search over log(T)
+ * @param {Array} samples - [{ score, label }]
+ */
+const fitTemperature = (samples) => {
+  const loss = logT => negativeLogLikelihood(samples, { method: 'temperature', temperature: Math.exp(logT) });
+  const ratio = (Math.sqrt(5) - 1) / 2;
+  let low = Math.log(0.05);
+  let high = Math.log(20);
+
+  for (let i = 0; i < 60; i++) {
+    const a = high - ratio * (high - low);
+    const b = low + ratio * (high - low);
+    if (loss(a) < loss(b)) high = b;
+    else low = a;
+  }
+
+  return { method: 'temperature', temperature: Math.exp((low + high) / 2) };
+};
+
+/**
+ * Platt scaling on the logit of the raw score, fitted by Newton's method
+ * with step halving (a full Newton step can overshoot on logistic loss)
+ * @param {Array} samples - [{ score, label }]
+ */
+const fitPlatt = (samples) => {
+  const loss = (plattA, plattB) => negativeLogLikelihood(samples, { method: 'platt', plattA, plattB });
+  let a = 1;
+  let b = 0;
+
+  for (let i = 0; i < 50; i++) {
+    let gA = 0; let gB = 0; let hAA = 0; let hAB = 0; let hBB = 0;
+
+    samples.forEach(({ score, label }) => {
+      const x = logit(score);
+      const p = sigmoid(a * x + b);
+      const w = Math.max(p * (1 - p), EPSILON);
+      gA += (p - label) * x;
+      gB += p - label;
+      hAA += w * x * x;
+      hAB += w * x;
+      hBB += w;
+    });
+
+    const determinant = hAA * hBB - hAB * hAB;
+    if (Math.abs(determinant) < EPSILON) break;
+
+    let stepA = (hBB * gA - hAB * gB) / determinant;
+    let stepB = (hAA * gB - hAB * gA) / determinant;
+    const current = loss(a, b);
+    for (let halvings = 0; halvings < 30 && loss(a - stepA, b - stepB) > current; halvings++) {
+      stepA /= 2;
+      stepB /= 2;
+    }
+    a -= stepA;
+    b -= stepB;
+
+    if (Math.abs(stepA) < 1e-8 && Math.abs(stepB) < 1e-8) break;
+  }
+
+  return { method: 'platt', plattA: a, plattB: b };
+};
+
+module.exports = {
+  applyScaling,
+  calibrationReport,
+  fitTemperature,
+  fitPlatt
+};
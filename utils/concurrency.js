@@ -0,0 +1,34 @@
+/**
+ * Concurrency Helpers
+ */
+
+/**
+ * Run an async function over a list with at most `limit` calls in flight.
+ * Results keep the order of the input list.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent calls
+ * @param {Function} fn - async (item, index) => result
+ */
+const mapWithConcurrency = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workers = Array.from(
+    { length: Math.min(Math.max(limit, 1), items.length) },
+    () => worker()
+  );
+  await Promise.all(workers);
+
+  return results;
+};
+
+module.exports = {
+  mapWithConcurrency
+};
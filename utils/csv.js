@@ -0,0 +1,99 @@
+/**
+ * CSV Helpers
+ * Minimal RFC 4180 parsing and formatting (quoted fields, escaped quotes, embedded newlines)
+ */
+
+/**
+ * Parse CSV content into an array of rows (arrays of strings)
+ * @param {string} content - Raw CSV text
+ */
+const parseCsv = (content) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  // Drop blank lines
+  return rows.filter(cells => cells.length > 1 || cells[0] !== '');
+};
+
+/**
+ * Parse CSV content into objects keyed by the header row
+ * @param {string} content - Raw CSV text
+ * @returns {Array} [{ line, record }] where line is the 1-based data row number
+ */
+const parseCsvRecords = (content) => {
+  const [header, ...rows] = parseCsv(content);
+
+  if (!header) {
+    return [];
+  }
+
+  const columns = header.map(column => column.trim());
+
+  return rows.map((cells, index) => ({
+    line: index + 1,
+    record: columns.reduce((record, column, columnIndex) => {
+      record[column] = cells[columnIndex];
+      return record;
+    }, {})
+  }));
+};
+
+/**
+ * Format values as one CSV line, quoting fields when needed
+ * @param {Array} values - Cell values
+ */
+const toCsvRow = (values) => {
+  return values.map((value) => {
+    const cell = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  }).join(',') + '\n';
+};
+
+module.exports = {
+  parseCsv,
+  parseCsvRecords,
+  toCsvRow
+};
@@ -0,0 +1,105 @@
+/**
+ * Drift Statistics
+ * Population stability index (PSI) and two-sample Kolmogorov-Smirnov statistic
+ */
+
+// Keeps empty bins from producing infinite PSI terms
+const EPSILON = 1e-4;
+
+/**
+ * PSI between two sets of bin proportions
+ * @param {Array} expected - Reference proportions
+ * @param {Array} actual - Current proportions
+ */
+const psiFromProportions = (expected, actual) => {
+  return expected.reduce((sum, e, i) => {
+    const p = Math.max(e, EPSILON);
+    const q = Math.max(actual[i], EPSILON);
+    return sum + (q - p) * Math.log(q / p);
+  }, 0);
+};
+
+/**
+ * Proportion of values falling into each bin defined by ascending cut points
+ */
+const binProportions = (values, cuts) => {
+  const counts = new Array(cuts.length + 1).fill(0);
+  values.forEach((value) => {
+    let bin = 0;
+    while (bin < cuts.length && value > cuts[bin]) bin++;
+    counts[bin]++;
+  });
+  return counts.map(count => count / values.length);
+};
+
+/**
+ * PSI of a numeric feature, binned on reference quantiles
+ * @param {Array} reference - Reference values
+ * @param {Array} current - Current values
+ * @param {number} bins - Number of quantile bins
+ */
+const numericPsi = (reference, current, bins = 10) => {
+  if (reference.length === 0 || current.length === 0) {
+    return null;
+  }
+
+  const sorted = [...reference].sort((a, b) => a - b);
+  const cuts = [];
+  for (let i = 1; i < bins; i++) {
+    const cut = sorted[Math.floor((i * sorted.length) / bins)];
+    // Repeated values (e.g. bias scores of 0) collapse into one bin
+    if (cuts.length === 0 || cut > cuts[cuts.length - 1]) cuts.push(cut);
+  }
+
+  return psiFromProportions(binProportions(reference, cuts), binProportions(current, cuts));
+};
+
+/**
+ * PSI of a categorical feature
+ * @param {Array} reference - Reference categories
+ * @param {Array} current - Current categories
+ */
+const categoricalPsi = (reference, current) => {
+  if (reference.length === 0 || current.length === 0) {
+    return null;
+  }
+
+  const categories = [...new Set([...reference, ...current])];
+  const proportions = values => categories.map(
+    category => values.filter(value => value === category).length / values.length
+  );
+
+  return psiFromProportions(proportions(reference), proportions(current));
+};
+
+/**
+ * Two-sample Kolmogorov-Smirnov statistic: the largest gap between the empirical CDFs
+ * @param {Array} reference - Reference values
+ * @param {Array} current - Current values
+ */
+const ksStatistic = (reference, current) => {
+  if (reference.length === 0 || current.length === 0) {
+    return null;
+  }
+
+  const a = [...reference].sort((x, y) => x - y);
+  const b = [...current].sort((x, y) => x - y);
+  let i = 0;
+  let j = 0;
+  let maxGap = 0;
+
+  while (i < a.length && j < b.length) {
+    const value = Math.min(a[i], b[j]);
+    while (i < a.length && a[i] === value) i++;
+    while (j < b.length && b[j] === value) j++;
+    maxGap = Math.max(maxGap, Math.abs(i / a.length - j / b.length));
+  }
+
+  return maxGap;
+};
+
+module.exports = {
+  numericPsi,
+  categoricalPsi,
+  ksStatistic
+};
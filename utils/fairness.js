@@ -0,0 +1,133 @@
+/**
+ * Fairness Metrics
+ * Equal opportunity difference (EOD) and average absolute odds difference (AAOD)
+ * for each subgroup, measured against the rest of the evaluated population
+ */
+
+const FAIRNESS_ATTRIBUTES = ['language', 'dialect', 'domain', 'hasGenderBias', 'hasEthnicBias', 'hasReligiousBias'];
+const MIN_GROUP_SIZE = parseInt(process.env.FAIRNESS_MIN_GROUP_SIZE) || 20;
+
+/**
+ * Group value of a result for an attribute (undefined when it has none)
+ */
+const readGroup = (result, attribute) => {
+  if (attribute.startsWith('has')) {
+    const flag = result.biasFlags?.[attribute];
+    return typeof flag === 'boolean' ? String(flag) : undefined;
+  }
+  return result[attribute] || undefined;
+};
+
+/**
+ * True and false positive rates (null when undefined)
+ * @param {Array} results - [{ label, predictedLabel }]
+ */
+const rates = (results) => {
+  let positives = 0;
+  let negatives = 0;
+  let truePositives = 0;
+  let falsePositives = 0;
+
+  results.forEach(({ label, predictedLabel }) => {
+    if (label === 1) {
+      positives++;
+      if (predictedLabel === 1) truePositives++;
+    } else {
+      negatives++;
+      if (predictedLabel === 1) falsePositives++;
+    }
+  });
+
+  return {
+    truePositiveRate: positives > 0 ? truePositives / positives : null,
+    falsePositiveRate: negatives > 0 ? falsePositives / negatives : null
+  };
+};
+
+/**
+ * Per-group EOD and AAOD for one attribute
+ * @param {Array} results - Evaluation results
+ * @param {string} attribute - Grouping attribute
+ */
+const fairnessByAttribute = (results, attribute) => {
+  const groups = new Map();
+  const covered = [];
+
+  results.forEach((result) => {
+    const group = readGroup(result, attribute);
+    if (group === undefined) return;
+    if (!groups.has(group)) groups.set(group, []);
+    groups.get(group).push(result);
+    covered.push(result);
+  });
+
+  // A single group has nothing to be compared against
+  if (groups.size < 2) {
+    return [];
+  }
+
+  return [...groups.entries()].map(([group, members]) => {
+    const memberSet = new Set(members);
+    const rest = covered.filter(result => !memberSet.has(result));
+    const own = rates(members);
+    const other = rates(rest);
+
+    const tprDiff = own.truePositiveRate !== null && other.truePositiveRate !== null
+      ? own.truePositiveRate - other.truePositiveRate
+      : null;
+    const fprDiff = own.falsePositiveRate !== null && other.falsePositiveRate !== null
+      ? own.falsePositiveRate - other.falsePositiveRate
+      : null;
+
+    return {
+      attribute,
+      group,
+      sampleSize: members.length,
+      truePositiveRate: own.truePositiveRate,
+      falsePositiveRate: own.falsePositiveRate,
+      eod: tprDiff,
+      aaod: tprDiff !== null && fprDiff !== null ? (Math.abs(tprDiff) + Math.abs(fprDiff)) / 2 : null,
+      reliable: members.length >= MIN_GROUP_SIZE && rest.length >= MIN_GROUP_SIZE
+    };
+  });
+};
+
+/**
+ * Fairness metrics over every attribute
+ * @param {Array} results - Evaluation results
+ * @param {Object} options - { attributes }
+ * @returns {Object} { eod, aaod, groups } where eod/aaod are the largest absolute
+ *   values among reliable groups
+ */
+const computeFairness = (results, { attributes = FAIRNESS_ATTRIBUTES } = {}) => {
+  const groups = attributes.flatMap(attribute => fairnessByAttribute(results, attribute));
+  const reliable = groups.filter(group => group.reliable);
+
+  const largest = (key) => reliable.reduce(
+    (max, group) => (group[key] !== null ? Math.max(max, Math.abs(group[key])) : max),
+    0
+  );
+
+  return {
+    eod: largest('eod'),
+    aaod: largest('aaod'),
+    groups
+  };
+};
+
+/**
+ * Groups ordered by how much they drive the disparity
+ * @param {Array} groups - fairnessMetrics.groups
+ * @param {string} metric - 'eod' or 'aaod'
+ */
+const rankDisparityDrivers = (groups, metric = 'aaod') => {
+  return groups
+    .filter(group => group[metric] !== null && group[metric] !== undefined)
+    .sort((a, b) => (b.reliable - a.reliable) || Math.abs(b[metric]) - Math.abs(a[metric]));
+};
+
+module.exports = {
+  FAIRNESS_ATTRIBUTES,
+  computeFairness,
+  rankDisparityDrivers
+};
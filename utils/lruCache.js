@@ -0,0 +1,58 @@
+/**
+ * In-Memory LRU Cache
+ * Small TTL-aware LRU used when Redis is not available
+ */
+
+/**
+ * Create an LRU cache
+ * @param {Object} options - { maxEntries, ttlMs }
+ */
+const createLruCache = ({ maxEntries = 1000, ttlMs = 0 } = {}) => {
+  // Map iteration order doubles as recency order (oldest first)
+  const entries = new Map();
+
+  const get = (key) => {
+    const entry = entries.get(key);
+    if (!entry) {
+      return undefined;
+    }
+
+    if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+      entries.delete(key);
+      return undefined;
+    }
+
+    entries.delete(key);
+    entries.set(key, entry);
+    return entry.value;
+  };
+
+  const set = (key, value) => {
+    entries.delete(key);
+    entries.set(key, {
+      value,
+      expiresAt: ttlMs > 0 ? Date.now() + ttlMs : 0
+    });
+
+    while (entries.size > maxEntries) {
+      entries.delete(entries.keys().next().value);
+    }
+  };
+
+  const clear = () => {
+    const size = entries.size;
+    entries.clear();
+    return size;
+  };
+
+  return {
+    get,
+    set,
+    clear,
+    size: () => entries.size
+  };
+};
+
+module.exports = {
+  createLruCache
+};
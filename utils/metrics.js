@@ -0,0 +1,96 @@
+/**
+ * Classification Metrics
+ * Binary metrics for the human (0) vs AI-generated (1) detector
+ */
+
+/**
+ * Confusion matrix counts, treating AI-generated (1) as the positive class
+ * @param {Array} results - [{ label, predictedLabel }]
+ */
+const confusionMatrix = (results) => {
+  return results.reduce((matrix, { label, predictedLabel }) => {
+    if (label === 1 && predictedLabel === 1) matrix.truePositive++;
+    else if (label === 0 && predictedLabel === 0) matrix.trueNegative++;
+    else if (label === 0 && predictedLabel === 1) matrix.falsePositive++;
+    else if (label === 1 && predictedLabel === 0) matrix.falseNegative++;
+    return matrix;
+  }, { truePositive: 0, trueNegative: 0, falsePositive: 0, falseNegative: 0 });
+};
+
+/**
+ * Safe ratio that returns 0 for an empty denominator
+ */
+const ratio = (numerator, denominator) => (denominator > 0 ? numerator / denominator : 0);
+
+/**
+ * ROC AUC via the rank-sum (Mann-Whitney U) formulation, averaging tied ranks
+ * @param {Array} results - [{ label, score }] where score is P(label = 1)
+ * @returns {number|undefined} AUC, or undefined when only one class is present
+ */
+const rocAuc = (results) => {
+  const scored = results.filter(result => typeof result.score === 'number');
+  const positives = scored.filter(result => result.label === 1).length;
+  const negatives = scored.length - positives;
+
+  if (positives === 0 || negatives === 0) {
+    return undefined;
+  }
+
+  const sorted = [...scored].sort((a, b) => a.score - b.score);
+  let positiveRankSum = 0;
+
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1].score === sorted[i].score) j++;
+
+    const averageRank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (sorted[k].label === 1) positiveRankSum += averageRank;
+    }
+    i = j + 1;
+  }
+
+  return (positiveRankSum - (positives * (positives + 1)) / 2) / (positives * negatives);
+};
+
+/**
+ * Accuracy, precision, recall, F1, AUC and the confusion matrix
+ * @param {Array} results - [{ label, predictedLabel, score }]
+ */
+const binaryMetrics = (results) => {
+  const matrix = confusionMatrix(results);
+  const { truePositive, trueNegative, falsePositive, falseNegative } = matrix;
+
+  const precision = ratio(truePositive, truePositive + falsePositive);
+  const recall = ratio(truePositive, truePositive + falseNegative);
+
+  return {
+    metrics: {
+      accuracy: ratio(truePositive + trueNegative, results.length),
+      precision,
+      recall,
+      f1Score: ratio(2 * precision * recall, precision + recall),
+      auc: rocAuc(results)
+    },
+    confusionMatrix: matrix,
+    sampleSize: results.length
+  };
+};
+
+/**
+ * Probability of AI-generated from an ML service prediction
+ * @param {Object} prediction - { label, confidence, probabilities }
+ */
+const positiveScore = (prediction) => {
+  if (Array.isArray(prediction.probabilities) && prediction.probabilities.length === 2) {
+    return prediction.probabilities[1];
+  }
+  return prediction.label === 1 ? prediction.confidence : 1 - prediction.confidence;
+};
+
+module.exports = {
+  confusionMatrix,
+  rocAuc,
+  binaryMetrics,
+  positiveScore
+};